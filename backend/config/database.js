@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Password the admin account is seeded with when ADMIN_PASSWORD is not set
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
 const connectDatabase = async () => {
   try {
     const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/civicflow';
@@ -48,6 +51,41 @@ const connectDatabase = async () => {
   }
 };
 
+// Upvotes were stored as an upvotedBy array on each issue before votes got their own collection
+const migrateUpvotedBy = async () => {
+  const issues = mongoose.connection.collection('issues');
+  const votes = mongoose.connection.collection('votes');
+
+  // Nothing left to migrate once every issue has dropped upvotedBy
+  if (!await issues.findOne({ upvotedBy: { $exists: true } }, { projection: { _id: 1 } })) {
+    return;
+  }
+
+  // Counters are sortable with cursor pagination, so they must never be missing
+  await issues.updateMany({ confirmations: { $exists: false } }, { $set: { downvotes: 0, confirmations: 0 } });
+
+  const cursor = issues.find({ upvotedBy: { $exists: true } }, { projection: { upvotedBy: 1, createdAt: 1 } });
+  for await (const issue of cursor) {
+    const userIds = issue.upvotedBy || [];
+    if (userIds.length > 0) {
+      const createdAt = issue.createdAt || new Date();
+      await votes.bulkWrite(userIds.map(user => ({
+        updateOne: {
+          filter: { issueId: issue._id, user },
+          update: { $setOnInsert: { type: 'up', createdAt, updatedAt: createdAt } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    const upvotes = await votes.countDocuments({ issueId: issue._id, type: 'up' });
+    await issues.updateOne(
+      { _id: issue._id },
+      { $set: { upvotes }, $unset: { upvotedBy: '' } }
+    );
+  }
+};
+
 // Function to create indexes
 const createIndexes = async () => {
   try {
@@ -58,6 +96,51 @@ const createIndexes = async () => {
     require('../models/Issue');
     require('../models/StatusLog');
     require('../models/Flag');
+    require('../models/RefreshToken');
+    require('../models/RevokedToken');
+    require('../models/LoginAttempt');
+    require('../models/ApiKey');
+    require('../models/Invitation');
+    require('../models/RolePermission');
+    require('../models/Session');
+    require('../models/Impersonation');
+    require('../models/AuditLog');
+    require('../models/Comment');
+    require('../models/IssueRevision');
+    require('../models/Notification');
+    require('../models/Vote');
+    require('../models/SensitivePlace');
+    require('../models/SlaPolicy');
+
+    // Flags were unique per issue before comments could be flagged
+    await mongoose.connection.collection('flags').dropIndex('issueId_1_flaggedBy_1').catch((error) => {
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    });
+
+    await migrateUpvotedBy();
+
+    // Priority used to be picked by the reporter; keep it as their suggestion until the issue is scored
+    await mongoose.connection.collection('issues').updateMany(
+      { priorityScore: { $exists: false } },
+      [{ $set: { priorityScore: 0, reportedPriority: '$priority' } }]
+    );
+
+    // Resolutions made before reopen rates were tracked; merges also closed issues but resolved nothing
+    await mongoose.connection.collection('statuslogs').updateMany(
+      {
+        isResolution: { $exists: false },
+        status: { $in: ['Resolved', 'Closed'] },
+        previousStatus: { $in: ['Reported', 'In Progress'] },
+        comment: { $not: /^Merged into / }
+      },
+      { $set: { isResolution: true } }
+    );
+
+    // Merged duplicates were closed before the workflow had a Duplicate status
+    await mongoose.connection.collection('issues').updateMany(
+      { mergedInto: { $ne: null }, status: 'Closed' },
+      { $set: { status: 'Duplicate' } }
+    );
 
     // Wait for indexes to be built
     await mongoose.connection.db.admin().command({ listIndexes: 'users' });
@@ -71,26 +154,44 @@ const createIndexes = async () => {
 const seedAdminUser = async () => {
   try {
     const User = require('../models/User');
+    const { validatePassword } = require('../utils/passwordPolicy');
+
+    const email = process.env.ADMIN_EMAIL || 'admin@civicflow.com';
+    const password = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
     
     // Check if admin user already exists
-    const adminExists = await User.findOne({ 
-      email: process.env.ADMIN_EMAIL || 'admin@civicflow.com' 
-    });
+    const adminExists = await User.findOne({ email }).select('+password');
 
     if (!adminExists) {
+      // A weak or default seed password is allowed once but must be rotated on first login
+      const mustChangePassword = validatePassword(password, { name: 'System Administrator', email }).length > 0;
+
       const adminUser = new User({
         name: 'System Administrator',
-        email: process.env.ADMIN_EMAIL || 'admin@civicflow.com',
-        password: process.env.ADMIN_PASSWORD || 'admin123',
+        email,
+        password,
         role: 'admin',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+        mustChangePassword
       });
 
-      await adminUser.save();
+      await adminUser.save({ validateBeforeSave: !mustChangePassword });
       console.log('✅ Default admin user created');
       console.log(`📧 Admin email: ${adminUser.email}`);
-      console.log('🔑 Please change the default password after first login');
+      if (mustChangePassword) {
+        console.log('🔑 The seed password does not meet the password policy; it must be changed on first login');
+      } else {
+        console.log('🔑 Please change the default password after first login');
+      }
     } else {
+      // Existing installs still on the default password are forced to rotate it
+      if (!adminExists.mustChangePassword && await adminExists.comparePassword(DEFAULT_ADMIN_PASSWORD)) {
+        adminExists.mustChangePassword = true;
+        await adminExists.save({ validateBeforeSave: false });
+        console.log('🔑 Admin user still uses the default password; a password change is now required');
+      }
       console.log('ℹ️ Admin user already exists');
     }
   } catch (error) {
@@ -98,6 +199,20 @@ const seedAdminUser = async () => {
   }
 };
 
+// Function to store the default role permissions for roles without a mapping
+const seedRolePermissions = async () => {
+  try {
+    const RolePermission = require('../models/RolePermission');
+    const changed = await RolePermission.seedDefaults();
+
+    if (changed > 0) {
+      console.log(`✅ Default permissions updated for ${changed} role(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error seeding role permissions:', error.message);
+  }
+};
+
 // Function to check database health
 const checkDatabaseHealth = async () => {
   try {
@@ -153,6 +268,7 @@ module.exports = {
   connectDatabase,
   createIndexes,
   seedAdminUser,
+  seedRolePermissions,
   checkDatabaseHealth,
   getDatabaseStats
 };
\ No newline at end of file
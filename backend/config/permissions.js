@@ -0,0 +1,69 @@
+/**
+ * Permission registry
+ *
+ * Every permission a route can require is declared here. Which roles hold
+ * which permissions is stored in the RolePermission collection; the defaults
+ * below are used to seed it and for roles that have no stored mapping yet.
+ */
+
+const ROLES = ['citizen', 'agent', 'admin'];
+
+const PERMISSIONS = {
+  'issues.create': { group: 'Issues', description: 'Report new issues' },
+  'issues.vote': { group: 'Issues', description: 'Vote on and confirm issues' },
+  'issues.flag': { group: 'Issues', description: 'Flag issues and comments for moderation' },
+  'issues.dispute': { group: 'Issues', description: 'Dispute the resolution of issues they reported or follow' },
+  'issues.hidden.view': { group: 'Issues', description: 'See hidden issues' },
+  'issues.status.update': { group: 'Issues', description: 'Change issue status and assignment' },
+  'issues.edit': { group: 'Issues', description: 'Edit the content of any issue at any time' },
+  'issues.merge': { group: 'Issues', description: 'Merge duplicate issues into one' },
+  'issues.priority.override': { group: 'Issues', description: 'Override the computed issue priority' },
+  'issues.reporter.reveal': { group: 'Issues', description: 'Reveal who filed an anonymous report (audited)' },
+  'issues.moderate': { group: 'Issues', description: 'Hide and unhide issues' },
+  'issues.delete': { group: 'Issues', description: 'Delete issues' },
+  'comments.create': { group: 'Comments', description: 'Post, edit and delete own comments' },
+  'comments.official': { group: 'Comments', description: 'Comments carry an official badge' },
+  'comments.moderate': { group: 'Comments', description: 'See and delete any comment' },
+  'flags.review': { group: 'Moderation', description: 'List and review flags' },
+  'users.view': { group: 'Users', description: 'List and view user accounts' },
+  'users.create': { group: 'Users', description: 'Create accounts and send staff invitations' },
+  'users.role.update': { group: 'Users', description: 'Change user roles' },
+  'users.ban': { group: 'Users', description: 'Ban and unban users' },
+  'users.deactivate': { group: 'Users', description: 'Deactivate and reactivate accounts' },
+  'users.security': { group: 'Users', description: 'Unlock accounts, manage two-factor and sessions, view login attempts' },
+  'users.impersonate': { group: 'Users', description: 'View the app as another user (read-only)' },
+  'apiKeys.manage': { group: 'System', description: 'Issue and revoke API keys' },
+  'sla.manage': { group: 'System', description: 'Set response and resolution targets per category' },
+  'places.manage': { group: 'System', description: 'Define schools, hospitals and other places that raise nearby issue priority' },
+  'analytics.view': { group: 'System', description: 'View dashboard analytics' },
+  'system.view': { group: 'System', description: 'View system health and activity logs' },
+  'audit.view': { group: 'System', description: 'View the audit log' },
+  'permissions.manage': { group: 'System', description: 'Edit role permissions' }
+};
+
+const CITIZEN_PERMISSIONS = ['issues.create', 'issues.vote', 'issues.flag', 'issues.dispute', 'comments.create'];
+const AGENT_PERMISSIONS = [...CITIZEN_PERMISSIONS, 'issues.hidden.view', 'issues.status.update', 'issues.edit', 'issues.merge', 'issues.priority.override', 'comments.official'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  citizen: CITIZEN_PERMISSIONS,
+  agent: AGENT_PERMISSIONS,
+  admin: Object.keys(PERMISSIONS)
+};
+
+// Removing these from the admin role would lock everyone out of fixing it
+const PROTECTED_ADMIN_PERMISSIONS = ['permissions.manage'];
+
+/**
+ * Check whether a permission is declared in the registry
+ * @param {string} permission - Permission key
+ * @returns {boolean} True if known
+ */
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  PROTECTED_ADMIN_PERMISSIONS,
+  isKnownPermission
+};
@@ -0,0 +1,147 @@
+/**
+ * Issue workflow
+ *
+ * The statuses an issue can be in and the moves allowed between them. Each
+ * transition lists the roles that may make it and the fields the change must
+ * come with; every status change is checked against this definition, so
+ * changing the workflow only takes editing the tables below.
+ */
+
+const { ROLES } = require('./permissions');
+
+const STATUSES = ['Reported', 'Assigned', 'In Progress', 'On Hold', 'Resolved', 'Closed', 'Rejected', 'Duplicate'];
+
+// Statuses of issues still waiting on a resolution
+const OPEN_STATUSES = ['Reported', 'Assigned', 'In Progress', 'On Hold'];
+
+// Statuses meaning the problem was fixed; entering one records the resolution date
+const RESOLVED_STATUSES = ['Resolved', 'Closed'];
+
+// Fields a transition can require, as named to the user
+const TRANSITION_FIELDS = {
+  comment: 'a comment',
+  assignedTo: 'an assignee',
+  estimatedResolutionDate: 'an estimated resolution date'
+};
+
+// Actions other than a status update that a transition can be reserved for
+const TRANSITION_ACTIONS = {
+  merge: 'merging it into another issue',
+  dispute: 'its reporter or a follower disputing the resolution'
+};
+
+const STAFF = ['agent', 'admin'];
+
+// Allowed transitions by current status, then by new status
+const TRANSITIONS = {
+  Reported: {
+    Assigned: { roles: STAFF, requires: ['assignedTo'] },
+    'In Progress': { roles: STAFF },
+    Resolved: { roles: STAFF },
+    Rejected: { roles: STAFF, requires: ['comment'] },
+    Duplicate: { roles: STAFF, via: 'merge' }
+  },
+  Assigned: {
+    Reported: { roles: STAFF, requires: ['comment'] },
+    'In Progress': { roles: STAFF },
+    'On Hold': { roles: STAFF, requires: ['comment'] },
+    Resolved: { roles: STAFF },
+    Rejected: { roles: STAFF, requires: ['comment'] },
+    Duplicate: { roles: STAFF, via: 'merge' }
+  },
+  'In Progress': {
+    Assigned: { roles: STAFF, requires: ['assignedTo'] },
+    'On Hold': { roles: STAFF, requires: ['comment'] },
+    Resolved: { roles: STAFF },
+    Rejected: { roles: STAFF, requires: ['comment'] },
+    Duplicate: { roles: STAFF, via: 'merge' }
+  },
+  'On Hold': {
+    Assigned: { roles: STAFF, requires: ['assignedTo'] },
+    'In Progress': { roles: STAFF },
+    Resolved: { roles: STAFF },
+    Rejected: { roles: STAFF, requires: ['comment'] },
+    Duplicate: { roles: STAFF, via: 'merge' }
+  },
+  Resolved: {
+    // Reopened when the fix did not hold
+    'In Progress': { roles: STAFF, requires: ['comment'] },
+    Closed: { roles: STAFF },
+    // Disputes go back to the assignee if there is one
+    Reported: { roles: ROLES, requires: ['comment'], via: 'dispute' },
+    Assigned: { roles: ROLES, requires: ['comment', 'assignedTo'], via: 'dispute' }
+  },
+  Closed: {
+    'In Progress': { roles: ['admin'], requires: ['comment'] },
+    Reported: { roles: ROLES, requires: ['comment'], via: 'dispute' },
+    Assigned: { roles: ROLES, requires: ['comment', 'assignedTo'], via: 'dispute' }
+  },
+  Rejected: {
+    Reported: { roles: ['admin'], requires: ['comment'] }
+  },
+  Duplicate: {}
+};
+
+/**
+ * Look up the transition between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {Object|null} Transition, or null if the workflow has no such move
+ */
+const getTransition = (from, to) => TRANSITIONS[from]?.[to] || null;
+
+/**
+ * Check a status change against the workflow
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @param {Object} context - Who is making the change and with what
+ * @param {string} context.role - Role of the user making the change
+ * @param {Object} [context.fields] - Values the change comes with, by field name
+ * @param {string} [context.via] - Action making the change, e.g. 'merge'
+ * @returns {Object|null} { reason, message, missing } if the change is not allowed, otherwise null
+ */
+const checkTransition = (from, to, { role, fields = {}, via = null }) => {
+  const transition = getTransition(from, to);
+  if (!transition) {
+    return { reason: 'not_allowed', message: `An issue cannot move from ${from} to ${to}` };
+  }
+
+  if (!transition.roles.includes(role)) {
+    return { reason: 'forbidden', message: `Your role cannot move an issue from ${from} to ${to}` };
+  }
+
+  if (transition.via && transition.via !== via) {
+    return { reason: 'not_allowed', message: `An issue moves to ${to} by ${TRANSITION_ACTIONS[transition.via]}` };
+  }
+
+  const missing = (transition.requires || []).filter(field => !fields[field]);
+  if (missing.length > 0) {
+    return {
+      reason: 'missing_fields',
+      message: `Moving an issue to ${to} requires ${missing.map(field => TRANSITION_FIELDS[field]).join(' and ')}`,
+      missing
+    };
+  }
+
+  return null;
+};
+
+/**
+ * List the statuses a role can move an issue to with a status update
+ * @param {string} from - Current status
+ * @param {string} role - Role of the user
+ * @returns {Array} { status, requires } for each allowed transition
+ */
+const getAllowedTransitions = (from, role) => Object.entries(TRANSITIONS[from] || {})
+  .filter(([, transition]) => transition.roles.includes(role) && !transition.via)
+  .map(([status, transition]) => ({ status, requires: transition.requires || [] }));
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  TRANSITIONS,
+  getTransition,
+  checkTransition,
+  getAllowedTransitions
+};
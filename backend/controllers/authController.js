@@ -1,7 +1,29 @@
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const LoginAttempt = require('../models/LoginAttempt');
+const { checkIpThrottle, progressiveDelay } = require('../utils/loginProtection');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const {
+  collectPersonalData,
+  sendPersonalDataArchive,
+  erasePersonalData
+} = require('../utils/personalData');
+const {
+  issueAuthTokens,
+  revokeUserSessions,
+  revokeAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../middleware/auth');
+const {
+  generateSecret,
+  buildOtpauthUrl,
+  generateRecoveryCodes
+} = require('../utils/twoFactor');
 const {
   sendSuccess,
   sendError,
@@ -9,6 +31,7 @@ const {
   conflictResponse,
   authErrorResponse,
   notFoundResponse,
+  rateLimitResponse,
   sendResponse
 } = require('../utils/apiResponse');
 
@@ -26,17 +49,17 @@ const register = async (req, res) => {
 
     const { name, email, password, phone, role = 'citizen' } = req.body;
 
+    // Staff accounts are created through POST /admin/users or invitations
+    if (role !== 'citizen') {
+      return sendError(res, 'Agent and admin accounts are created by administrators', 403);
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
       return sendResponse(res, conflictResponse('User with this email already exists'));
     }
 
-    // Validate role (only admin can create admin/agent accounts)
-    if (role !== 'citizen' && (!req.user || req.user.role !== 'admin')) {
-      return sendError(res, 'Only administrators can create agent or admin accounts', 403);
-    }
-
     // Create new user
     const userData = {
       name: name.trim(),
@@ -55,10 +78,18 @@ const register = async (req, res) => {
     }
 
     const user = new User(userData);
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // Email delivery problems must not fail the registration
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -66,6 +97,8 @@ const register = async (req, res) => {
     // Prepare response data
     const responseData = {
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user._id,
         name: user.name,
@@ -74,17 +107,170 @@ const register = async (req, res) => {
         phone: user.phone,
         avatar: user.avatar,
         isActive: user.isActive,
+        isEmailVerified: user.isEmailVerified,
         createdAt: user.createdAt
       }
     };
 
-    sendSuccess(res, responseData, 'User registered successfully', 201);
+    sendSuccess(res, responseData, 'User registered successfully. Please check your email to verify your account.', 201);
   } catch (error) {
     console.error('Registration error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
     sendError(res, 'Registration failed', 500, error.message);
   }
 };
 
+/**
+ * Create a staff account from an emailed invitation
+ * POST /auth/accept-invitation
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { token, name, password, phone } = req.body;
+
+    const invitation = await Invitation.findPendingByToken(token);
+    if (!invitation) {
+      return sendError(res, 'Invitation is invalid or has expired', 400);
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return sendResponse(res, conflictResponse('User with this email already exists'));
+    }
+
+    // Following the emailed link proves ownership of the address
+    const user = new User({
+      name: (name || invitation.name || '').trim(),
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      phone: phone?.trim(),
+      isEmailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await user.save();
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to accept invitation', 500, error.message);
+  }
+};
+
+/**
+ * Issue tokens and send the successful login response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ */
+const completeLogin = async (req, res, user) => {
+  // Generate access and refresh tokens
+  const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
+
+  // Update last login (also persists cleared lockout counters and used recovery codes)
+  user.resetFailedLogins();
+  await user.updateLastLogin();
+  await LoginAttempt.record(req, user.email, { user: user._id, success: true, reason: 'Success' });
+
+  // Prepare response data (exclude password)
+  const responseData = {
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      phone: user.phone,
+      avatar: user.avatar,
+      isActive: user.isActive,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired: user.needsTwoFactorSetup(),
+      passwordChangeRequired: user.mustChangePassword,
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt
+    }
+  };
+
+  sendSuccess(res, responseData, 'Login successful');
+};
+
+/**
+ * Record a failed login, slow the client down and send the error response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { email, user, reason, message, ipFailures }
+ */
+const rejectLogin = async (req, res, options) => {
+  const { email, user = null, reason, message, ipFailures = 0 } = options;
+
+  // Wrong credentials count towards the account lockout
+  const countsAgainstAccount = user &&
+    (reason === 'Invalid Password' || reason === 'Invalid Two-Factor Code');
+  if (countsAgainstAccount) {
+    await user.registerFailedLogin();
+  }
+
+  await LoginAttempt.record(req, email, {
+    user: user?._id,
+    reason,
+    lockedUntil: user?.isLocked() ? user.lockUntil : null
+  });
+
+  await progressiveDelay(Math.max(ipFailures, user ? user.failedLoginAttempts : 0) + 1);
+
+  if (countsAgainstAccount && user.isLocked()) {
+    return sendError(res, 'Too many failed login attempts. Account is temporarily locked.', 423, {
+      lockedUntil: user.lockUntil
+    });
+  }
+
+  return sendResponse(res, authErrorResponse(message));
+};
+
+/**
+ * Reject the request when the client IP has too many recent failures
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} email - Email being attempted
+ * @returns {Object} { blocked, failures }
+ */
+const checkLoginThrottle = async (req, res, email) => {
+  const ipThrottle = await checkIpThrottle(req.ip);
+
+  if (ipThrottle.throttled) {
+    await LoginAttempt.record(req, email, { reason: 'IP Throttled' });
+    res.set('Retry-After', String(ipThrottle.retryAfterSeconds));
+    sendResponse(res, rateLimitResponse('Too many failed login attempts from this IP, please try again later.', {
+      retryAfterSeconds: ipThrottle.retryAfterSeconds
+    }));
+    return { blocked: true, failures: ipThrottle.failures };
+  }
+
+  return { blocked: false, failures: ipThrottle.failures };
+};
+
 /**
  * Login user
  * POST /auth/login
@@ -98,16 +284,39 @@ const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const normalizedEmail = email.toLowerCase();
+
+    // Per-IP throttle across all accounts
+    const throttle = await checkLoginThrottle(req, res, normalizedEmail);
+    if (throttle.blocked) return;
 
     // Find user by email (include password for comparison)
-    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+    const user = await User.findOne({ email: normalizedEmail }).select('+password');
     
     if (!user) {
-      return sendResponse(res, authErrorResponse('Invalid email or password'));
+      return rejectLogin(req, res, {
+        email: normalizedEmail,
+        reason: 'Unknown User',
+        message: 'Invalid email or password',
+        ipFailures: throttle.failures
+      });
+    }
+
+    // Check if account is locked after repeated failures
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, normalizedEmail, {
+        user: user._id,
+        reason: 'Account Locked',
+        lockedUntil: user.lockUntil
+      });
+      return sendError(res, 'Too many failed login attempts. Account is temporarily locked.', 423, {
+        lockedUntil: user.lockUntil
+      });
     }
 
     // Check if user is banned
     if (user.isBannedUser()) {
+      await LoginAttempt.record(req, normalizedEmail, { user: user._id, reason: 'Account Banned' });
       return sendResponse(res, authErrorResponse(
         `Account is banned. Reason: ${user.banReason || 'No reason provided'}`
       ));
@@ -115,41 +324,310 @@ const login = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await LoginAttempt.record(req, normalizedEmail, { user: user._id, reason: 'Account Inactive' });
       return sendResponse(res, authErrorResponse('Account is inactive'));
     }
 
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return sendResponse(res, authErrorResponse('Invalid email or password'));
+      return rejectLogin(req, res, {
+        email: normalizedEmail,
+        user,
+        reason: 'Invalid Password',
+        message: 'Invalid email or password',
+        ipFailures: throttle.failures
+      });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // Password is correct; accounts with two-factor need a second step
+    if (user.twoFactorEnabled) {
+      const responseData = {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user)
+      };
 
-    // Update last login
-    await user.updateLastLogin();
+      return sendSuccess(res, responseData, 'Two-factor authentication required');
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    sendError(res, 'Login failed', 500, error.message);
+  }
+};
+
+/**
+ * Complete a two-factor login with a TOTP or recovery code
+ * POST /auth/login/2fa
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (tokenError) {
+      return sendResponse(res, authErrorResponse('Two-factor challenge is invalid or has expired'));
+    }
+
+    const user = await User.findById(challenge.id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return sendResponse(res, authErrorResponse('Two-factor challenge is invalid or has expired'));
+    }
+
+    const throttle = await checkLoginThrottle(req, res, user.email);
+    if (throttle.blocked) return;
+
+    if (user.isLocked()) {
+      return sendError(res, 'Too many failed login attempts. Account is temporarily locked.', 423, {
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    if (user.isBannedUser() || !user.isActive) {
+      return sendResponse(res, authErrorResponse('Account is not allowed to log in'));
+    }
+
+    const isCodeValid = code
+      ? await user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isCodeValid) {
+      return rejectLogin(req, res, {
+        email: user.email,
+        user,
+        reason: 'Invalid Two-Factor Code',
+        message: code ? 'Invalid two-factor code' : 'Invalid recovery code',
+        ipFailures: throttle.failures
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    sendError(res, 'Login failed', 500, error.message);
+  }
+};
+
+/**
+ * Start two-factor enrollment by generating a secret
+ * POST /auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return sendResponse(res, notFoundResponse('User'));
+    }
+
+    if (user.twoFactorEnabled) {
+      return sendError(res, 'Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const responseData = {
+      secret,
+      otpauthUrl: buildOtpauthUrl(user.email, secret)
+    };
+
+    sendSuccess(res, responseData, 'Scan the secret with your authenticator app, then confirm with a code');
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    sendError(res, 'Failed to start two-factor setup', 500, error.message);
+  }
+};
+
+/**
+ * Confirm enrollment with a first TOTP code
+ * POST /auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      return sendResponse(res, notFoundResponse('User'));
+    }
+
+    if (user.twoFactorEnabled) {
+      return sendError(res, 'Two-factor authentication is already enabled', 400);
+    }
+
+    if (!user.twoFactorSecret) {
+      return sendError(res, 'Start two-factor setup first', 400);
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return sendError(res, 'Invalid two-factor code', 400);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    sendSuccess(res, { recoveryCodes: codes }, 'Two-factor authentication enabled. Store your recovery codes safely.');
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    sendError(res, 'Failed to enable two-factor authentication', 500, error.message);
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * POST /auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      return sendResponse(res, notFoundResponse('User'));
+    }
+
+    if (!user.twoFactorEnabled) {
+      return sendError(res, 'Two-factor authentication is not enabled', 400);
+    }
+
+    if (user.twoFactorRequired) {
+      return sendError(res, 'Two-factor authentication is required for this account', 403);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !(await user.verifyTwoFactorCode(code))) {
+      return sendResponse(res, authErrorResponse('Invalid password or two-factor code'));
+    }
+
+    user.clearTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    sendSuccess(res, null, 'Two-factor authentication disabled');
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    sendError(res, 'Failed to disable two-factor authentication', 500, error.message);
+  }
+};
+
+/**
+ * Replace all recovery codes
+ * POST /auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      return sendResponse(res, notFoundResponse('User'));
+    }
+
+    if (!user.twoFactorEnabled) {
+      return sendError(res, 'Two-factor authentication is not enabled', 400);
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return sendError(res, 'Invalid two-factor code', 400);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    sendSuccess(res, { recoveryCodes: codes }, 'Recovery codes regenerated');
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    sendError(res, 'Failed to regenerate recovery codes', 500, error.message);
+  }
+};
+
+/**
+ * Verify email address with the emailed token
+ * POST /auth/verify-email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return sendError(res, 'Verification link is invalid or has expired', 400);
+    }
+
+    user.markEmailVerified();
+    await user.save({ validateBeforeSave: false });
 
-    // Prepare response data (exclude password)
     const responseData = {
-      token,
       user: {
         id: user._id,
-        name: user.name,
         email: user.email,
-        role: user.role,
-        phone: user.phone,
-        avatar: user.avatar,
-        isActive: user.isActive,
-        lastLogin: user.lastLogin,
-        createdAt: user.createdAt
+        isEmailVerified: user.isEmailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
       }
     };
 
-    sendSuccess(res, responseData, 'Login successful');
+    sendSuccess(res, responseData, 'Email verified successfully');
   } catch (error) {
-    console.error('Login error:', error);
-    sendError(res, 'Login failed', 500, error.message);
+    console.error('Verify email error:', error);
+    sendError(res, 'Failed to verify email', 500, error.message);
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ * POST /auth/resend-verification
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return sendResponse(res, notFoundResponse('User'));
+    }
+
+    if (user.isEmailVerified) {
+      return sendError(res, 'Email address is already verified', 400);
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendVerificationEmail(user, verificationToken);
+
+    sendSuccess(res, null, 'Verification email sent');
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    sendError(res, 'Failed to send verification email', 500, error.message);
   }
 };
 
@@ -184,6 +662,10 @@ const getProfile = async (req, res) => {
         phone: user.phone,
         avatar: user.avatar,
         isActive: user.isActive,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorRequired: user.twoFactorRequired,
+        passwordChangeRequired: user.mustChangePassword,
         lastLogin: user.lastLogin,
         location: user.location,
         createdAt: user.createdAt
@@ -204,6 +686,82 @@ const getProfile = async (req, res) => {
   }
 };
 
+/**
+ * Download everything stored about the current user
+ * GET /auth/me/export
+ */
+const exportPersonalData = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { format = 'json' } = req.query;
+
+    const data = await collectPersonalData(req.user);
+    const filename = `civicflow-export-${req.user._id}-${data.exportedAt.slice(0, 10)}`;
+
+    if (format === 'zip') {
+      return await sendPersonalDataArchive(data, res, `${filename}.zip`);
+    }
+
+    res.attachment(`${filename}.json`);
+    sendSuccess(res, data, 'Personal data exported successfully');
+  } catch (error) {
+    console.error('Export personal data error:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    sendError(res, 'Failed to export personal data', 500, error.message);
+  }
+};
+
+/**
+ * Delete the current user's account
+ * DELETE /auth/me
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      return sendResponse(res, notFoundResponse('User'));
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return sendResponse(res, authErrorResponse('Password is incorrect'));
+    }
+
+    if (user.twoFactorEnabled && !(await user.verifyTwoFactorCode(code))) {
+      return sendResponse(res, authErrorResponse('Invalid two-factor code'));
+    }
+
+    if (await User.isLastActiveAdmin(user)) {
+      return sendError(res, 'The last active admin cannot delete their account', 400);
+    }
+
+    await revokeUserSessions(user._id, 'Account deleted');
+    await erasePersonalData(user);
+
+    sendSuccess(res, null, 'Account deleted. Your reports remain public without your personal details.');
+  } catch (error) {
+    console.error('Delete account error:', error);
+    sendError(res, 'Failed to delete account', 500, error.message);
+  }
+};
+
 /**
  * Update user profile
  * PUT /auth/profile
@@ -305,23 +863,196 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    sendSuccess(res, null, 'Password changed successfully');
+    // Sign out every other session and hand this client a fresh pair
+    user.tokenVersion = await revokeUserSessions(user._id, 'Password changed');
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(user, req);
+
+    sendSuccess(res, { token, refreshToken, refreshTokenExpiresAt }, 'Password changed successfully');
   } catch (error) {
     console.error('Change password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
     sendError(res, 'Failed to change password', 500, error.message);
   }
 };
 
 /**
- * Logout user (client-side token removal)
+ * Request a password reset email
+ * POST /auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const message = 'If an account exists for this email, a password reset link has been sent';
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || user.isBannedUser() || !user.isActive) {
+      return sendSuccess(res, null, message);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    sendSuccess(res, null, message);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    sendError(res, 'Failed to process password reset request', 500, error.message);
+  }
+};
+
+/**
+ * Reset password with the emailed one-time token
+ * POST /auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return sendError(res, 'Password reset link is invalid or has expired', 400);
+    }
+
+    // Tokens are single-use; proving email ownership also lifts a lockout
+    user.password = newPassword;
+    user.clearPasswordResetToken();
+    user.resetFailedLogins();
+    await user.save();
+
+    // Whoever held the old password must not keep a session
+    await revokeUserSessions(user._id, 'Password reset');
+
+    sendSuccess(res, null, 'Password reset successfully. Please log in with your new password.');
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to reset password', 500, error.message);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * POST /auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const storedToken = await RefreshToken.findByToken(req.body.refreshToken);
+    if (!storedToken) {
+      return sendResponse(res, authErrorResponse('Invalid refresh token'));
+    }
+
+    // A rotated token being presented again means it leaked; kill the whole chain
+    if (storedToken.revokedAt) {
+      await Session.revokeFamily(storedToken.family, 'Refresh token reuse detected');
+      return sendResponse(res, authErrorResponse('Refresh token has been revoked'));
+    }
+
+    if (storedToken.isExpired()) {
+      return sendResponse(res, authErrorResponse('Refresh token expired'));
+    }
+
+    const user = await User.findById(storedToken.user);
+    if (!user) {
+      return sendResponse(res, authErrorResponse('User not found'));
+    }
+
+    if (user.isBannedUser()) {
+      return sendResponse(res, authErrorResponse('User account is banned'));
+    }
+
+    if (!user.isActive) {
+      return sendResponse(res, authErrorResponse('User account is inactive'));
+    }
+
+    // Rotate: retire the old token first, so a concurrent refresh with the same token loses
+    // the race and is treated as reuse, then issue a new token in the same family
+    const claimed = await RefreshToken.claimForRotation(storedToken._id);
+    if (!claimed) {
+      await Session.revokeFamily(storedToken.family, 'Refresh token reuse detected');
+      return sendResponse(res, authErrorResponse('Refresh token has been revoked'));
+    }
+
+    const tokens = await issueAuthTokens(user, req, storedToken.family);
+
+    claimed.replacedBy = tokens.refreshTokenDoc._id;
+    await claimed.save();
+
+    const responseData = {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    };
+
+    sendSuccess(res, responseData, 'Token refreshed successfully');
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    sendError(res, 'Failed to refresh token', 500, error.message);
+  }
+};
+
+/**
+ * Logout user and revoke the current tokens
  * POST /auth/logout
  */
 const logout = async (req, res) => {
   try {
-    // In a stateless JWT system, logout is mainly handled client-side
-    // Here we just send a success response
-    // In future, could implement token blacklisting if needed
-    
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { refreshToken: rawRefreshToken, allDevices = false } = req.body;
+
+    if (allDevices === true || allDevices === 'true') {
+      await revokeUserSessions(req.user._id, 'Logged out from all devices');
+    } else {
+      await revokeAccessToken(req.tokenPayload, 'Logout');
+
+      if (req.authSession) {
+        await req.authSession.revoke('Logout');
+      }
+
+      if (rawRefreshToken) {
+        const storedToken = await RefreshToken.findByToken(rawRefreshToken);
+
+        if (storedToken && storedToken.user.equals(req.user._id)) {
+          await Session.revokeFamily(storedToken.family, 'Logout');
+        }
+      }
+    }
+
     sendSuccess(res, null, 'Logged out successfully');
   } catch (error) {
     console.error('Logout error:', error);
@@ -329,6 +1060,56 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * List the devices the current user is signed in on
+ * GET /auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+    const currentSessionId = req.authSession?._id;
+
+    sendSuccess(res, {
+      sessions: sessions.map(session => session.toAPIResponse(currentSessionId))
+    }, 'Sessions retrieved successfully');
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    sendError(res, 'Failed to retrieve sessions', 500, error.message);
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions
+ * DELETE /auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isActive()) {
+      return sendResponse(res, notFoundResponse('Session'));
+    }
+
+    await session.revoke('Signed out by user');
+
+    // The access token in hand stays usable until it expires unless revoked too
+    const isCurrent = req.authSession && session._id.equals(req.authSession._id);
+    if (isCurrent) {
+      await revokeAccessToken(req.tokenPayload, 'Logout');
+    }
+
+    sendSuccess(res, { session: session.toAPIResponse(req.authSession?._id) }, 'Session signed out successfully');
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    sendError(res, 'Failed to sign out session', 500, error.message);
+  }
+};
+
 /**
  * Get user by ID (admin only)
  * GET /auth/users/:id
@@ -351,15 +1132,16 @@ const getUserById = async (req, res) => {
       const Flag = require('../models/Flag');
 
       const [issueStats, flagStats, totalIssues, totalFlags] = await Promise.all([
+        // Anonymous reports are left out so they cannot be traced back to the user
         Issue.aggregate([
-          { $match: { createdBy: user._id } },
+          { $match: { createdBy: user._id, isAnonymous: { $ne: true } } },
           { $group: { _id: '$status', count: { $sum: 1 } } }
         ]),
         Flag.aggregate([
           { $match: { flaggedBy: user._id } },
           { $group: { _id: '$status', count: { $sum: 1 } } }
         ]),
-        Issue.countDocuments({ createdBy: user._id }),
+        Issue.countDocuments({ createdBy: user._id, isAnonymous: { $ne: true } }),
         Flag.countDocuments({ flaggedBy: user._id })
       ]);
 
@@ -404,10 +1186,25 @@ const getUserById = async (req, res) => {
 
 module.exports = {
   register,
+  acceptInvitation,
   login,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyEmail,
+  resendVerification,
   getProfile,
+  exportPersonalData,
+  deleteAccount,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
   logout,
+  getSessions,
+  revokeSession,
   getUserById
 };
\ No newline at end of file
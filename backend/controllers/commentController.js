@@ -0,0 +1,337 @@
+const { validationResult } = require('express-validator');
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const Flag = require('../models/Flag');
+const Notification = require('../models/Notification');
+const {
+  sendSuccess,
+  sendError,
+  validationErrorResponse,
+  notFoundResponse,
+  authorizationErrorResponse,
+  sendResponse
+} = require('../utils/apiResponse');
+const { userHasPermission } = require('../utils/permissions');
+
+/**
+ * Find an issue the current user is allowed to see
+ * @param {string} id - Issue ID
+ * @param {Object} user - Current user, if any
+ * @returns {Object|null} Issue, or null if missing or hidden from the user
+ */
+const findVisibleIssue = async (id, user) => {
+  const issue = await Issue.findById(id);
+  if (!issue) return null;
+
+  if (issue.isHidden && !await userHasPermission(user, 'issues.hidden.view')) {
+    return null;
+  }
+
+  return issue;
+};
+
+/**
+ * Arrange formatted comments into reply trees, dropping removed comments
+ * that have no remaining replies
+ * @param {Object[]} comments - Comment documents, oldest first
+ * @param {Object} options - Options passed to toAPIResponse
+ * @returns {Object[]} Top-level comments with nested replies
+ */
+const buildThreads = (comments, options) => {
+  const nodes = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    nodes.set(comment._id.toString(), { ...comment.toAPIResponse(options), replies: [] });
+  });
+
+  comments.forEach(comment => {
+    const node = nodes.get(comment._id.toString());
+    const parent = comment.parentId && nodes.get(comment.parentId.toString());
+    (parent ? parent.replies : roots).push(node);
+  });
+
+  const prune = (list) => list.filter(node => {
+    node.replies = prune(node.replies);
+    return node.body !== null || node.replies.length > 0;
+  });
+
+  return prune(roots);
+};
+
+/**
+ * Get the comment threads of an issue
+ * GET /issues/:id/comments
+ */
+const getComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const issue = await findVisibleIssue(id, req.user);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    const [comments, canModerate] = await Promise.all([
+      Comment.getIssueComments(issue._id),
+      userHasPermission(req.user, 'comments.moderate')
+    ]);
+
+    const responseData = {
+      comments: buildThreads(comments, { viewerId: req.user?._id, canModerate }),
+      total: comments.filter(comment => !comment.isDeleted() && !comment.isHidden).length
+    };
+
+    sendSuccess(res, responseData, 'Comments retrieved successfully');
+  } catch (error) {
+    console.error('Get comments error:', error);
+    sendError(res, 'Failed to retrieve comments', 500, error.message);
+  }
+};
+
+/**
+ * Post a comment or a reply on an issue
+ * POST /issues/:id/comments
+ */
+const createComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { id } = req.params;
+    const { body, parentId } = req.body;
+
+    const issue = await findVisibleIssue(id, req.user);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    if (issue.isHidden) {
+      return sendError(res, 'Cannot comment on hidden issues', 400);
+    }
+
+    if (issue.mergedInto) {
+      return sendError(res, 'This issue was merged into another issue; comment on that one instead', 400);
+    }
+
+    const commentData = {
+      issueId: issue._id,
+      author: req.user._id,
+      body: body.trim(),
+      isOfficial: req.permissions.has('comments.official'),
+      metadata: {
+        source: req.body.source || 'web',
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      }
+    };
+
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, issueId: issue._id });
+      if (!parent || parent.isDeleted()) {
+        return sendResponse(res, notFoundResponse('Parent comment'));
+      }
+
+      // Replies below the deepest level join the thread as siblings
+      if (parent.depth < Comment.MAX_DEPTH) {
+        commentData.parentId = parent._id;
+        commentData.depth = parent.depth + 1;
+      } else {
+        commentData.parentId = parent.parentId;
+        commentData.depth = parent.depth;
+      }
+    }
+
+    const comment = new Comment(commentData);
+    await comment.save();
+    await comment.populate('author', 'name role avatar isEmailVerified');
+
+    // Followers are told when staff reply, not about every comment
+    if (comment.isOfficial) {
+      // A first official reply counts as the response for the SLA
+      if (issue.recordSlaResponse()) {
+        await issue.save();
+      }
+
+      await Notification.notifyFollowers(issue, {
+        type: 'issue.comment',
+        actor: req.user._id,
+        message: `${req.user.name} posted an official update on "${issue.title}"`,
+        details: { comment: comment._id }
+      });
+    }
+
+    const responseData = {
+      comment: comment.toAPIResponse({
+        viewerId: req.user._id,
+        canModerate: req.permissions.has('comments.moderate')
+      })
+    };
+
+    sendSuccess(res, responseData, 'Comment posted successfully', 201);
+  } catch (error) {
+    console.error('Create comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to post comment', 500, error.message);
+  }
+};
+
+/**
+ * Edit one of your own comments within the edit window
+ * PUT /issues/:id/comments/:commentId
+ */
+const updateComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { id, commentId } = req.params;
+
+    const comment = await Comment.findOne({ _id: commentId, issueId: id });
+    if (!comment || comment.isDeleted()) {
+      return sendResponse(res, notFoundResponse('Comment'));
+    }
+
+    if (!comment.isAuthoredBy(req.user._id)) {
+      return sendResponse(res, authorizationErrorResponse('You can only edit your own comments'));
+    }
+
+    if (!comment.isEditable()) {
+      const minutes = Math.round(Comment.getEditWindowMs() / 60000);
+      return sendError(res, `Comments can only be edited within ${minutes} minutes of posting`, 400);
+    }
+
+    comment.body = req.body.body.trim();
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', 'name role avatar isEmailVerified');
+
+    const responseData = {
+      comment: comment.toAPIResponse({
+        viewerId: req.user._id,
+        canModerate: req.permissions.has('comments.moderate')
+      })
+    };
+
+    sendSuccess(res, responseData, 'Comment updated successfully');
+  } catch (error) {
+    console.error('Update comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to update comment', 500, error.message);
+  }
+};
+
+/**
+ * Delete a comment (author or moderators); replies stay in the thread
+ * DELETE /issues/:id/comments/:commentId
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { id, commentId } = req.params;
+
+    const comment = await Comment.findOne({ _id: commentId, issueId: id });
+    if (!comment || comment.isDeleted()) {
+      return sendResponse(res, notFoundResponse('Comment'));
+    }
+
+    if (!comment.isAuthoredBy(req.user._id) && !await userHasPermission(req.user, 'comments.moderate')) {
+      return sendResponse(res, authorizationErrorResponse('You can only delete your own comments'));
+    }
+
+    await comment.softDelete(req.user._id);
+
+    sendSuccess(res, null, 'Comment deleted successfully');
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    sendError(res, 'Failed to delete comment', 500, error.message);
+  }
+};
+
+/**
+ * Flag a comment for moderation
+ * POST /issues/:id/comments/:commentId/flag
+ */
+const flagComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { id, commentId } = req.params;
+    const { reason, description } = req.body;
+
+    const issue = await findVisibleIssue(id, req.user);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, issueId: issue._id });
+    if (!comment || comment.isDeleted()) {
+      return sendResponse(res, notFoundResponse('Comment'));
+    }
+
+    if (comment.isAuthoredBy(req.user._id)) {
+      return sendError(res, 'You cannot flag your own comment', 400);
+    }
+
+    // Check if user has already flagged this comment
+    const hasAlreadyFlagged = await Flag.hasUserFlagged(issue._id, req.user._id, comment._id);
+    if (hasAlreadyFlagged) {
+      return sendError(res, 'You have already flagged this comment', 400);
+    }
+
+    const flag = new Flag({
+      issueId: issue._id,
+      commentId: comment._id,
+      flaggedBy: req.user._id,
+      reason,
+      description: description.trim(),
+      metadata: {
+        source: req.body.source || 'web',
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      }
+    });
+
+    await flag.save();
+
+    sendSuccess(res, null, 'Comment flagged successfully');
+  } catch (error) {
+    console.error('Flag comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to flag comment', 500, error.message);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  flagComment
+};
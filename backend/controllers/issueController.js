@@ -2,16 +2,122 @@ const { validationResult } = require('express-validator');
 const Issue = require('../models/Issue');
 const StatusLog = require('../models/StatusLog');
 const Flag = require('../models/Flag');
+const Comment = require('../models/Comment');
+const IssueRevision = require('../models/IssueRevision');
+const Notification = require('../models/Notification');
+const Vote = require('../models/Vote');
+const SlaPolicy = require('../models/SlaPolicy');
 const { 
   sendSuccess, 
   sendError, 
   sendPaginated,
+  sendCursorPaginated,
   validationErrorResponse,
   notFoundResponse,
   authorizationErrorResponse,
+  conflictResponse,
   sendResponse 
 } = require('../utils/apiResponse');
-const { createNearbyQuery, isValidCoordinates } = require('../utils/distance');
+const { createNearbyQuery, createWithinRadiusQuery, isValidCoordinates } = require('../utils/distance');
+const { userHasPermission } = require('../utils/permissions');
+const { getDuplicateDetectionConfig, findDuplicateCandidates } = require('../utils/duplicates');
+const { parseSearchQuery, buildSearchFilter, buildSnippets } = require('../utils/search');
+const { parseCursorPagination, fetchCursorPage } = require('../utils/pagination');
+const { deleteFromCloudinary, cleanupFiles } = require('../middleware/upload');
+const { diffText } = require('../utils/textDiff');
+const {
+  getPriorityScoringConfig,
+  buildPriorityUpdate,
+  recalculatePriority,
+  recalculatePrioritiesNear,
+  refreshPriority
+} = require('../utils/priority');
+const { SLA_STATUSES, buildSlaFilter, formatSla } = require('../utils/sla');
+const {
+  STATUSES,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  TRANSITIONS,
+  checkTransition,
+  getAllowedTransitions
+} = require('../config/workflow');
+
+// Fields issues can be sorted by in cursor pagination; they must never be null
+const ISSUE_CURSOR_SORT_FIELDS = ['createdAt', 'updatedAt', 'upvotes', 'confirmations', 'flagCount', 'priorityScore'];
+
+// Vote actions accepted by POST /issues/:id/vote, with the vote type they cast
+const VOTE_ACTIONS = {
+  upvote: { type: 'up', done: 'upvoted' },
+  downvote: { type: 'down', done: 'downvoted' },
+  confirm: { type: 'confirm', done: 'confirmed' }
+};
+
+/**
+ * Remove images uploaded with a report or dispute that is not going to be saved
+ * @param {Object} req - Express request
+ */
+const discardUploadedImages = async (req) => {
+  const uploaded = req.uploadedImages || [];
+
+  if (uploaded.some(image => image.publicId)) {
+    await Promise.all(uploaded.map(image => deleteFromCloudinary(image.publicId)));
+  } else {
+    cleanupFiles(req.files);
+  }
+};
+
+/**
+ * Check whether a user may dispute an issue's resolution: the reporter and
+ * followers can, for a while after it was resolved
+ * @param {Object} issue - Issue document
+ * @param {Object} user - User disputing
+ * @returns {boolean} True if the user may dispute
+ */
+const canDisputeResolution = (issue, user) => {
+  const reporterId = issue.createdBy?._id || issue.createdBy;
+  const isInvolved = reporterId.equals(user._id) || issue.followers.some(userId => userId.equals(user._id));
+  return isInvolved && RESOLVED_STATUSES.includes(issue.status) && issue.isWithinDisputeWindow();
+};
+
+/**
+ * Respond to a status change the workflow does not allow
+ * @param {Object} res - Express response
+ * @param {Object} problem - Result of checkTransition
+ */
+const sendTransitionError = (res, problem) => {
+  if (problem.reason === 'forbidden') {
+    return sendResponse(res, authorizationErrorResponse(problem.message));
+  }
+  if (problem.reason === 'missing_fields') {
+    return sendResponse(res, validationErrorResponse(
+      problem.missing.map(field => ({ path: field, msg: problem.message }))
+    ));
+  }
+  return sendError(res, problem.message, 400);
+};
+
+/**
+ * Format a possible duplicate for the reporter to choose from
+ * @param {Object} candidate - Result of findDuplicateCandidates
+ * @param {string|null} userVote - Reporter's vote on the candidate
+ * @returns {Object} Candidate summary
+ */
+const formatDuplicateCandidate = ({ issue, similarity, distance }, userVote) => ({
+  id: issue._id,
+  title: issue.title,
+  description: issue.description,
+  category: issue.category,
+  status: issue.status,
+  address: issue.address,
+  landmark: issue.landmark,
+  images: issue.images,
+  upvotes: issue.upvotes,
+  confirmations: issue.confirmations,
+  userVote,
+  similarity: Math.round(similarity * 100) / 100,
+  distance,
+  createdAt: issue.createdAt
+});
 
 /**
  * Create a new issue
@@ -33,8 +139,11 @@ const createIssue = async (req, res) => {
       latitude,
       address,
       landmark,
-      priority = 'Medium',
-      tags
+      priority,
+      tags,
+      duplicateOf,
+      ignoreDuplicates,
+      isAnonymous
     } = req.body;
 
     // Validate coordinates
@@ -42,24 +151,84 @@ const createIssue = async (req, res) => {
       return sendError(res, 'Invalid coordinates provided', 400);
     }
 
+    // The reporter chose to confirm ("me too") an existing issue instead of filing a duplicate
+    if (duplicateOf) {
+      await discardUploadedImages(req);
+
+      const existing = await Issue.findById(duplicateOf);
+      if (!existing || existing.isHidden) {
+        return sendResponse(res, notFoundResponse('Issue'));
+      }
+
+      const changed = await Vote.castVote(existing._id, req.user._id, 'confirm');
+      await Issue.updateOne({ _id: existing._id }, { $addToSet: { followers: req.user._id } });
+      await refreshPriority(existing._id);
+      const counts = await Issue.findById(existing._id).select('upvotes downvotes confirmations');
+
+      const responseData = {
+        issue: {
+          id: existing._id,
+          title: existing.title,
+          status: existing.status,
+          upvotes: counts.upvotes,
+          downvotes: counts.downvotes,
+          confirmations: counts.confirmations,
+          userVote: 'confirm'
+        },
+        confirmedExisting: true
+      };
+
+      return sendSuccess(res, responseData, changed ? 'Existing issue confirmed instead' : 'You have already confirmed this issue');
+    }
+
+    // Offer similar nearby reports before saving, unless the reporter already declined them
+    if (getDuplicateDetectionConfig().enabled && String(ignoreDuplicates) !== 'true') {
+      const candidates = await findDuplicateCandidates({
+        title,
+        description,
+        category,
+        longitude: parseFloat(longitude),
+        latitude: parseFloat(latitude)
+      });
+
+      if (candidates.length > 0) {
+        await discardUploadedImages(req);
+        const userVotes = await Vote.getUserVotes(candidates.map(({ issue }) => issue._id), req.user._id);
+
+        return sendResponse(res, {
+          ...conflictResponse('Similar issues have already been reported nearby'),
+          data: {
+            duplicates: candidates.map(candidate =>
+              formatDuplicateCandidate(candidate, userVotes.get(String(candidate.issue._id)) || null))
+          }
+        });
+      }
+    }
+
     // Prepare issue data
     const issueData = {
       title: title.trim(),
       description: description.trim(),
       category,
-      priority,
+      reportedPriority: priority || null,
       location: {
         type: 'Point',
         coordinates: [parseFloat(longitude), parseFloat(latitude)]
       },
       createdBy: req.user._id,
+      followers: [req.user._id],
+      isAnonymous: String(isAnonymous) === 'true',
       metadata: {
-        source: req.body.source || 'web',
+        source: req.apiKey ? 'api' : (req.body.source || 'web'),
         userAgent: req.get('User-Agent'),
         ipAddress: req.ip
       }
     };
 
+    // Stamp the due dates from the category's SLA policy, if it has one
+    const slaDueDates = await SlaPolicy.dueDatesFor(category);
+    if (slaDueDates) issueData.sla = slaDueDates;
+
     // Add optional fields
     if (address) issueData.address = address.trim();
     if (landmark) issueData.landmark = landmark.trim();
@@ -76,10 +245,24 @@ const createIssue = async (req, res) => {
       }));
     }
 
-    // Create issue
+    // Create issue; the reporter's priority is only a suggestion, the score decides
     const issue = new Issue(issueData);
+    Object.assign(issue, await buildPriorityUpdate(issue));
     await issue.save();
 
+    // Nearby open reports of the same kind now count this one as a repeat; the report
+    // itself is saved, so a failure here is only logged
+    try {
+      await recalculatePrioritiesNear(
+        issue.location.coordinates[0],
+        issue.location.coordinates[1],
+        getPriorityScoringConfig().repeatRadiusMeters,
+        { _id: { $ne: issue._id }, category: issue.category }
+      );
+    } catch (error) {
+      console.error('Priority recalculation error:', error);
+    }
+
     // Create initial status log
     await StatusLog.createStatusLog(
       issue._id,
@@ -88,12 +271,13 @@ const createIssue = async (req, res) => {
       {
         comment: 'Issue reported',
         isSystemGenerated: true,
+        isAnonymous: issue.isAnonymous,
         metadata: issueData.metadata
       }
     );
 
     // Populate creator information
-    await issue.populate('createdBy', 'name email role avatar');
+    await issue.populate('createdBy', 'name role avatar');
 
     const responseData = {
       issue: {
@@ -103,14 +287,19 @@ const createIssue = async (req, res) => {
         category: issue.category,
         status: issue.status,
         priority: issue.priority,
+        priorityScore: issue.priorityScore,
+        reportedPriority: issue.reportedPriority,
         location: issue.location,
         address: issue.address,
         landmark: issue.landmark,
         images: issue.images,
         tags: issue.tags,
         upvotes: issue.upvotes,
+        downvotes: issue.downvotes,
+        confirmations: issue.confirmations,
         flagCount: issue.flagCount,
         createdBy: issue.createdBy,
+        isAnonymous: issue.isAnonymous,
         createdAt: issue.createdAt
       }
     };
@@ -142,14 +331,15 @@ const getIssues = async (req, res) => {
       lat,
       lng,
       distance = 5, // kilometers
-      sort = '-createdAt',
+      sort,
       search,
       tags,
+      sla,
       includeHidden = false
     } = req.query;
 
-    // Build query
-    const query = {};
+    // Build query; merged duplicates are represented by their canonical issue
+    const query = { mergedInto: null };
 
     // Filter by category
     if (category) {
@@ -172,49 +362,93 @@ const getIssues = async (req, res) => {
       query.tags = { $in: tagArray };
     }
 
-    // Hide issues unless admin or includeHidden is true
-    if (!includeHidden || (req.user && req.user.role !== 'admin')) {
+    // Filter by SLA compliance
+    if (sla) {
+      if (!SLA_STATUSES.includes(sla)) {
+        return sendError(res, `sla must be one of: ${SLA_STATUSES.join(', ')}`, 400);
+      }
+      query.$and = [buildSlaFilter(sla)];
+    }
+
+    // Hidden issues are only listed on request, for users allowed to see them
+    if (includeHidden !== 'true' || !await userHasPermission(req.user, 'issues.hidden.view')) {
       query.isHidden = false;
     }
 
-    // Text search
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { address: { $regex: search, $options: 'i' } },
-        { landmark: { $regex: search, $options: 'i' } }
-      ];
+    // Text search: supports "phrases" and -exclusions; any other symbols are treated as word breaks
+    const parsedSearch = search ? parseSearchQuery(search) : null;
+    const searchFilter = parsedSearch && buildSearchFilter(parsedSearch);
+    if (searchFilter) {
+      Object.assign(query, searchFilter);
+    }
+    const isTextSearch = !!query.$text;
+
+    // Geospatial filtering; $near cannot be combined with $text or used to count
+    const hasLocation = lat && lng && isValidCoordinates(parseFloat(lng), parseFloat(lat));
+    const countQuery = hasLocation
+      ? { ...query, ...createWithinRadiusQuery(parseFloat(lng), parseFloat(lat), parseFloat(distance)) }
+      : query;
+    const findQuery = hasLocation && !isTextSearch
+      ? { ...query, ...createNearbyQuery(parseFloat(lng), parseFloat(lat), parseFloat(distance)) }
+      : countQuery;
+
+    // Cursor mode pages by sort value and _id, so newly reported issues don't shift the pages
+    const cursorPage = parseCursorPagination(req.query, {
+      sortFields: ISSUE_CURSOR_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
+    if (cursorPage?.error) {
+      return sendError(res, cursorPage.error, 400);
     }
 
-    // Geospatial filtering
-    let issuesQuery;
-    if (lat && lng && isValidCoordinates(parseFloat(lng), parseFloat(lat))) {
-      const geoQuery = createNearbyQuery(parseFloat(lng), parseFloat(lat), parseFloat(distance));
-      issuesQuery = Issue.find({ ...query, ...geoQuery });
+    const populateIssue = issuesQuery => issuesQuery
+      .populate('createdBy', 'name role avatar')
+      .populate('assignedTo', 'name email role');
+
+    let issues;
+    let totalCount;
+    let nextCursor;
+    let isRanked = false;
+    if (cursorPage) {
+      ({ items: issues, total: totalCount, nextCursor } = await fetchCursorPage(Issue, {
+        filter: findQuery,
+        countFilter: countQuery,
+        cursorPage,
+        prepare: populateIssue
+      }));
     } else {
-      issuesQuery = Issue.find(query);
+      const issuesQuery = populateIssue(Issue.find(findQuery));
+
+      // Sorting; searches are ranked by relevance unless another order is asked for
+      const sortField = sort || (isTextSearch ? 'relevance' : '-createdAt');
+      const sortOptions = {};
+      if (sortField === 'relevance') {
+        if (isTextSearch) {
+          issuesQuery.select({ score: { $meta: 'textScore' } });
+          sortOptions.score = { $meta: 'textScore' };
+          isRanked = true;
+        }
+        sortOptions.createdAt = -1;
+      } else if (sortField.startsWith('-')) {
+        sortOptions[sortField.substring(1)] = -1;
+      } else {
+        sortOptions[sortField] = 1;
+      }
+
+      // Execute query with pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      [issues, totalCount] = await Promise.all([
+        issuesQuery
+          .sort(sortOptions)
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Issue.countDocuments(countQuery)
+      ]);
     }
 
-    // Sorting
-    const sortOptions = {};
-    if (sort.startsWith('-')) {
-      sortOptions[sort.substring(1)] = -1;
-    } else {
-      sortOptions[sort] = 1;
-    }
-
-    // Execute query with pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const [issues, totalCount] = await Promise.all([
-      issuesQuery
-        .populate('createdBy', 'name email role avatar')
-        .populate('assignedTo', 'name email role')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Issue.countDocuments(lat && lng ? { ...query, ...createNearbyQuery(parseFloat(lng), parseFloat(lat), parseFloat(distance)) } : query)
-    ]);
+    // Anonymous reporters are only shown to themselves, never while impersonated
+    const viewer = req.impersonation ? null : req.user;
+    const userVotes = await Vote.getUserVotes(issues.map(issue => issue._id), req.user?._id);
 
     // Format response data
     const formattedIssues = issues.map(issue => ({
@@ -224,24 +458,43 @@ const getIssues = async (req, res) => {
       category: issue.category,
       status: issue.status,
       priority: issue.priority,
+      priorityScore: issue.priorityScore,
       location: issue.location,
       address: issue.address,
       landmark: issue.landmark,
       images: issue.images,
       tags: issue.tags,
       upvotes: issue.upvotes,
+      downvotes: issue.downvotes,
+      confirmations: issue.confirmations,
+      userVote: userVotes.get(String(issue._id)) || null,
       flagCount: issue.flagCount,
-      createdBy: issue.createdBy,
+      createdBy: issue.reporterFor(viewer),
+      isAnonymous: issue.isAnonymous,
       assignedTo: issue.assignedTo,
       estimatedResolutionDate: issue.estimatedResolutionDate,
+      sla: formatSla(issue),
       createdAt: issue.createdAt,
       updatedAt: issue.updatedAt,
       // Add distance if geospatial query was used
-      ...(lat && lng && {
+      ...(hasLocation && {
         distance: issue.distanceFrom(parseFloat(lng), parseFloat(lat))
+      }),
+      // Add relevance and highlighted matches for searches
+      ...(parsedSearch && {
+        ...(isRanked && { relevance: Math.round(issue.get('score') * 100) / 100 }),
+        highlights: buildSnippets(issue, parsedSearch)
       })
     }));
 
+    if (cursorPage) {
+      return sendCursorPaginated(res, formattedIssues, {
+        limit: cursorPage.limit,
+        nextCursor,
+        total: totalCount
+      }, 'Issues retrieved successfully');
+    }
+
     sendPaginated(res, formattedIssues, page, limit, totalCount, 'Issues retrieved successfully');
   } catch (error) {
     console.error('Get issues error:', error);
@@ -258,23 +511,29 @@ const getIssueById = async (req, res) => {
     const { id } = req.params;
 
     const issue = await Issue.findById(id)
-      .populate('createdBy', 'name email role avatar phone')
+      .populate('createdBy', 'name role avatar')
       .populate('assignedTo', 'name email role');
 
     if (!issue) {
       return sendResponse(res, notFoundResponse('Issue'));
     }
 
+    // Merged duplicates live on as links to the canonical issue
+    if (issue.mergedInto) {
+      return res.redirect(301, `${req.baseUrl}/${issue.mergedInto}`);
+    }
+
     // Check if user can view hidden issues
-    if (issue.isHidden && (!req.user || req.user.role === 'citizen')) {
+    if (issue.isHidden && !await userHasPermission(req.user, 'issues.hidden.view')) {
       return sendResponse(res, notFoundResponse('Issue'));
     }
 
     // Get status logs
     const statusLogs = await StatusLog.getIssueTimeline(issue._id);
 
-    // Check if current user has upvoted
-    const hasUpvoted = req.user ? issue.upvotedBy.includes(req.user._id) : false;
+    // Check how the current user voted and whether they follow the issue
+    const userVote = await Vote.getUserVote(issue._id, req.user?._id);
+    const isFollowing = req.user ? issue.followers.includes(req.user._id) : false;
 
     // Check if current user has flagged
     let hasFlagged = false;
@@ -282,6 +541,20 @@ const getIssueById = async (req, res) => {
       hasFlagged = await Flag.hasUserFlagged(issue._id, req.user._id);
     }
 
+    // Anonymous reporters are only shown to themselves, never while impersonated
+    const viewer = req.impersonation ? null : req.user;
+
+    // Reporters can edit within the edit window, staff at any time
+    const isReporter = !!viewer && issue.createdBy._id.equals(viewer._id);
+    const canEdit = (isReporter && issue.isWithinEditWindow()) ||
+      await userHasPermission(req.user, 'issues.edit');
+    const canOverridePriority = await userHasPermission(req.user, 'issues.priority.override');
+    const allowedTransitions = await userHasPermission(req.user, 'issues.status.update')
+      ? getAllowedTransitions(issue.status, req.user.role)
+      : [];
+    const canDispute = !!viewer && canDisputeResolution(issue, viewer) &&
+      await userHasPermission(req.user, 'issues.dispute');
+
     const responseData = {
       issue: {
         id: issue._id,
@@ -290,31 +563,57 @@ const getIssueById = async (req, res) => {
         category: issue.category,
         status: issue.status,
         priority: issue.priority,
+        priorityScore: issue.priorityScore,
+        priorityFactors: issue.priorityFactors,
+        isPriorityOverridden: issue.isPriorityOverridden,
+        // Staff see what the reporter suggested and why the priority was overridden
+        ...(canOverridePriority && {
+          reportedPriority: issue.reportedPriority,
+          priorityOverriddenBy: issue.priorityOverriddenBy,
+          priorityOverrideReason: issue.priorityOverrideReason
+        }),
         location: issue.location,
         address: issue.address,
         landmark: issue.landmark,
         images: issue.images,
         tags: issue.tags,
         upvotes: issue.upvotes,
+        downvotes: issue.downvotes,
+        confirmations: issue.confirmations,
+        followerCount: issue.followers.length,
         flagCount: issue.flagCount,
-        createdBy: issue.createdBy,
+        createdBy: issue.reporterFor(viewer),
+        isAnonymous: issue.isAnonymous,
         assignedTo: issue.assignedTo,
         estimatedResolutionDate: issue.estimatedResolutionDate,
         actualResolutionDate: issue.actualResolutionDate,
+        reopenCount: issue.reopenCount,
+        sla: formatSla(issue),
         isHidden: issue.isHidden,
         hiddenReason: issue.hiddenReason,
+        revisionCount: issue.revisionCount,
+        lastEditedAt: issue.lastEditedAt,
         createdAt: issue.createdAt,
         updatedAt: issue.updatedAt,
-        hasUpvoted,
-        hasFlagged
+        userVote,
+        hasUpvoted: userVote === 'up',
+        hasFlagged,
+        isFollowing,
+        canEdit,
+        canOverridePriority,
+        allowedTransitions,
+        canDispute
       },
       statusLogs: statusLogs.map(log => ({
         id: log._id,
         status: log.status,
         previousStatus: log.previousStatus,
         comment: log.comment,
-        updatedBy: log.updatedBy,
+        updatedBy: log.isAnonymous ? null : log.updatedBy,
+        attachments: log.attachments,
         isSystemGenerated: log.isSystemGenerated,
+        isDispute: log.isDispute,
+        slaBreach: log.slaBreach,
         createdAt: log.createdAt
       }))
     };
@@ -326,6 +625,138 @@ const getIssueById = async (req, res) => {
   }
 };
 
+/**
+ * Edit the content of an issue, keeping the previous version as a revision
+ * PUT /issues/:id
+ */
+const updateIssue = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { reason } = req.body;
+
+    // Loaded by the route, which only lets the reporter or holders of issues.edit through
+    const issue = req.resource;
+
+    if (issue.mergedInto) {
+      return sendError(res, 'This issue was merged into another issue and can no longer be edited', 400);
+    }
+
+    const isReporter = req.isOwner === true;
+    const isStaff = !isReporter || await userHasPermission(req.user, 'issues.edit');
+
+    if (!isStaff && !issue.isWithinEditWindow()) {
+      const windowMinutes = parseInt(process.env.ISSUE_EDIT_WINDOW_MINUTES) || 60;
+      return sendError(res, `Issues can only be edited within ${windowMinutes} minutes of reporting`, 400);
+    }
+
+    const previous = {};
+    const changes = [];
+
+    IssueRevision.EDITABLE_FIELDS.forEach(field => {
+      previous[field] = issue[field];
+      if (req.body[field] === undefined) return;
+
+      const current = issue[field] || '';
+      const updated = req.body[field].trim();
+      if (updated === current) return;
+
+      changes.push({ field, diff: diffText(current, updated) });
+      issue[field] = updated || undefined;
+    });
+
+    if (changes.length === 0) {
+      return sendError(res, 'No changes to save', 400);
+    }
+
+    // Reserve the revision number atomically so concurrent edits never share one
+    const { revisionCount } = await Issue.findOneAndUpdate(
+      { _id: issue._id },
+      { $inc: { revisionCount: 1 } },
+      { new: true, projection: 'revisionCount' }
+    );
+
+    issue.lastEditedAt = new Date();
+    await issue.save();
+
+    // The edit is saved by now; failing to record its history must not report it as failed
+    let revision = null;
+    try {
+      revision = await IssueRevision.create({
+        issueId: issue._id,
+        revision: revisionCount,
+        editedBy: req.user._id,
+        reason,
+        isAnonymous: issue.isAnonymous && isReporter,
+        previous,
+        changes,
+        metadata: {
+          source: req.apiKey ? 'api' : (req.body.source || 'web'),
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
+      });
+    } catch (revisionError) {
+      console.error('Record issue revision error:', revisionError);
+    }
+
+    const responseData = {
+      issue: {
+        id: issue._id,
+        title: issue.title,
+        description: issue.description,
+        address: issue.address,
+        landmark: issue.landmark,
+        revisionCount,
+        lastEditedAt: issue.lastEditedAt,
+        updatedAt: issue.updatedAt
+      },
+      revision: revision ? revision.toAPIResponse() : null
+    };
+
+    sendSuccess(res, responseData, 'Issue updated successfully');
+  } catch (error) {
+    console.error('Update issue error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to update issue', 500, error.message);
+  }
+};
+
+/**
+ * Get the edit history of an issue
+ * GET /issues/:id/revisions
+ */
+const getIssueRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const issue = await Issue.findById(id);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    // Check if user can view the issue
+    if (issue.isHidden && !await userHasPermission(req.user, 'issues.hidden.view')) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    const revisions = await IssueRevision.getIssueHistory(issue._id);
+
+    sendSuccess(res, revisions.map(revision => revision.toAPIResponse()), 'Edit history retrieved successfully');
+  } catch (error) {
+    console.error('Get issue revisions error:', error);
+    sendError(res, 'Failed to retrieve edit history', 500, error.message);
+  }
+};
+
 /**
  * Update issue status (agents and admins only)
  * PUT /issues/:id/status
@@ -348,6 +779,17 @@ const updateIssueStatus = async (req, res) => {
 
     const previousStatus = issue.status;
 
+    // A move to another status must be one the workflow allows the user's role to make
+    if (status !== previousStatus) {
+      const problem = checkTransition(previousStatus, status, {
+        role: req.user.role,
+        fields: { comment, assignedTo: assignedTo || issue.assignedTo, estimatedResolutionDate }
+      });
+      if (problem) {
+        return sendTransitionError(res, problem);
+      }
+    }
+
     // Update issue
     const updateData = { status };
     
@@ -359,16 +801,42 @@ const updateIssueStatus = async (req, res) => {
       updateData.assignedTo = assignedTo;
     }
 
-    // Set actual resolution date if status is Resolved or Closed
-    if ((status === 'Resolved' || status === 'Closed') && !issue.actualResolutionDate) {
+    // Set actual resolution date when the issue is resolved, and clear it when it is reopened
+    if (RESOLVED_STATUSES.includes(status) && !issue.actualResolutionDate) {
       updateData.actualResolutionDate = new Date();
+    } else if (OPEN_STATUSES.includes(status) && issue.actualResolutionDate) {
+      updateData.actualResolutionDate = null;
+    }
+
+    // Reopening undoes the last resolution, which counts against whoever made it
+    const isReopened = updateData.actualResolutionDate === null;
+    if (isReopened) {
+      issue.reopenCount += 1;
     }
 
     Object.assign(issue, updateData);
+
+    // Moving the issue on or assigning it is a response; resolving it is checked against the target
+    if (status !== previousStatus || assignedTo) {
+      issue.recordSlaResponse();
+    }
+    if (updateData.actualResolutionDate) {
+      issue.recordSlaResolution(updateData.actualResolutionDate);
+    }
+
     await issue.save();
 
+    if (isReopened) {
+      await StatusLog.markResolutionReopened(issue._id);
+    }
+
+    // Only open issues keep gaining priority with age
+    if (status !== previousStatus) {
+      await refreshPriority(issue._id);
+    }
+
     // Create status log
-    await StatusLog.createStatusLog(
+    const statusLog = await StatusLog.createStatusLog(
       issue._id,
       status,
       req.user._id,
@@ -376,14 +844,29 @@ const updateIssueStatus = async (req, res) => {
         previousStatus,
         comment,
         estimatedResolutionDate: updateData.estimatedResolutionDate,
+        isResolution: !!updateData.actualResolutionDate,
         metadata: {
-          source: req.body.source || 'web',
+          source: req.apiKey ? 'api' : (req.body.source || 'web'),
           userAgent: req.get('User-Agent'),
           ipAddress: req.ip
         }
       }
     );
 
+    await Notification.notifyFollowers(issue, {
+      type: 'issue.status',
+      actor: req.user._id,
+      message: status === previousStatus
+        ? `"${issue.title}" was updated`
+        : `"${issue.title}" is now ${status}`,
+      details: {
+        statusLog: statusLog._id,
+        status,
+        previousStatus,
+        comment
+      }
+    });
+
     // Populate updated issue
     await issue.populate('createdBy', 'name email role')
                 .populate('assignedTo', 'name email role');
@@ -395,6 +878,8 @@ const updateIssueStatus = async (req, res) => {
         assignedTo: issue.assignedTo,
         estimatedResolutionDate: issue.estimatedResolutionDate,
         actualResolutionDate: issue.actualResolutionDate,
+        reopenCount: issue.reopenCount,
+        sla: formatSla(issue),
         updatedAt: issue.updatedAt
       }
     };
@@ -411,6 +896,198 @@ const updateIssueStatus = async (req, res) => {
   }
 };
 
+/**
+ * Override an issue's computed priority, or hand it back to the score (agents and admins only)
+ * PUT /issues/:id/priority
+ */
+const updateIssuePriority = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { priority, reason } = req.body;
+
+    const issue = await Issue.findById(req.params.id);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    if (priority) {
+      issue.priority = priority;
+      issue.isPriorityOverridden = true;
+      issue.priorityOverriddenBy = req.user._id;
+      issue.priorityOverrideReason = reason || null;
+    } else {
+      issue.isPriorityOverridden = false;
+      issue.priorityOverriddenBy = null;
+      issue.priorityOverrideReason = null;
+    }
+    await issue.save();
+
+    // Clearing the override restores the level the score calls for
+    const scored = priority ? null : await recalculatePriority(issue._id);
+
+    const responseData = {
+      issue: {
+        id: issue._id,
+        priority: scored ? scored.priority : issue.priority,
+        priorityScore: scored ? scored.priorityScore : issue.priorityScore,
+        isPriorityOverridden: issue.isPriorityOverridden,
+        priorityOverriddenBy: issue.priorityOverriddenBy,
+        priorityOverrideReason: issue.priorityOverrideReason,
+        updatedAt: issue.updatedAt
+      }
+    };
+
+    sendSuccess(res, responseData, priority ? 'Issue priority overridden' : 'Issue priority override cleared');
+  } catch (error) {
+    console.error('Update issue priority error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to update issue priority', 500, error.message);
+  }
+};
+
+/**
+ * Merge duplicate issues into a canonical issue (agents and admins only)
+ * POST /issues/:id/merge
+ */
+const mergeIssues = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { id } = req.params;
+    const issueIds = [...new Set(req.body.issueIds)];
+
+    if (issueIds.includes(id)) {
+      return sendError(res, 'An issue cannot be merged into itself', 400);
+    }
+
+    const target = await Issue.findById(id);
+    if (!target) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    if (target.mergedInto) {
+      return sendError(res, 'Cannot merge into an issue that has itself been merged', 400);
+    }
+
+    const duplicates = await Issue.find({ _id: { $in: issueIds } });
+    if (duplicates.length !== issueIds.length) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    const alreadyMerged = duplicates.find(duplicate => duplicate.mergedInto);
+    if (alreadyMerged) {
+      return sendError(res, `"${alreadyMerged.title}" has already been merged`, 400);
+    }
+
+    // Each duplicate must be allowed to become a Duplicate from where it stands
+    for (const duplicate of duplicates) {
+      const problem = checkTransition(duplicate.status, 'Duplicate', { role: req.user.role, via: 'merge' });
+      if (problem) {
+        return sendTransitionError(res, { ...problem, message: `"${duplicate.title}": ${problem.message}` });
+      }
+    }
+
+    // Photos only move into free slots, so the target itself must be within the limit
+    if (target.images.length > Issue.MAX_IMAGES) {
+      return sendError(res, `"${target.title}" already has more than ${Issue.MAX_IMAGES} photos; remove some before merging`, 400);
+    }
+
+    const previousStatuses = new Map(duplicates.map(duplicate => [duplicate.id, duplicate.status]));
+    duplicates.forEach(duplicate => target.absorbDuplicate(duplicate, req.user._id));
+    const photosLeft = duplicates.reduce((count, duplicate) => count + duplicate.images.length, 0);
+
+    // Everything up to marking the duplicates as merged can run again, so a merge that
+    // fails part-way is finished by repeating it
+    await target.save();
+
+    // Discussion and votes follow the duplicates; flags on the issues themselves stay behind
+    const duplicateIds = duplicates.map(duplicate => duplicate._id);
+    const [voteCounts] = await Promise.all([
+      Vote.moveVotes(duplicateIds, target._id),
+      Comment.updateMany({ issueId: { $in: duplicateIds } }, { $set: { issueId: target._id } }),
+      Flag.updateMany({ issueId: { $in: duplicateIds }, commentId: { $ne: null } }, { $set: { issueId: target._id } })
+    ]);
+
+    await Promise.all(duplicates.map(duplicate => duplicate.save()));
+    await refreshPriority(target._id);
+
+    const metadata = {
+      source: req.apiKey ? 'api' : (req.body.source || 'web'),
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    };
+
+    await Promise.all([
+      ...duplicates.map(duplicate => StatusLog.createStatusLog(
+        duplicate._id,
+        'Duplicate',
+        req.user._id,
+        {
+          previousStatus: previousStatuses.get(duplicate.id),
+          comment: (`Merged into "${target.title}" (${target._id})` +
+            (duplicate.images.length > 0 ? `; ${duplicate.images.length} photo(s) kept here, the issue already had ${Issue.MAX_IMAGES}` : '')).slice(0, 1000),
+          metadata
+        }
+      )),
+      StatusLog.createStatusLog(
+        target._id,
+        target.status,
+        req.user._id,
+        {
+          previousStatus: target.status,
+          comment: (`Merged ${duplicates.length} duplicate report(s): ${duplicates.map(duplicate => `"${duplicate.title}"`).join(', ')}` +
+            (photosLeft > 0 ? `; ${photosLeft} photo(s) left on the duplicates` : '')).slice(0, 1000),
+          metadata
+        }
+      )
+    ]);
+
+    // Followers of the duplicates now follow the canonical issue; point them to it
+    await Promise.all(duplicates.map(duplicate => Notification.notifyFollowers(duplicate, {
+      type: 'issue.merged',
+      actor: req.user._id,
+      issueId: target._id,
+      message: `"${duplicate.title}" was merged into "${target.title}"`,
+      details: { mergedIssue: duplicate._id }
+    })));
+
+    const responseData = {
+      issue: {
+        id: target._id,
+        title: target.title,
+        status: target.status,
+        ...voteCounts,
+        images: target.images,
+        updatedAt: target.updatedAt
+      },
+      merged: duplicateIds,
+      photosLeft
+    };
+
+    sendSuccess(res, responseData, 'Issues merged successfully');
+  } catch (error) {
+    console.error('Merge issues error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to merge issues', 500, error.message);
+  }
+};
+
 /**
  * Delete an issue (admin only)
  * DELETE /issues/:id
@@ -424,22 +1101,31 @@ const deleteIssue = async (req, res) => {
       return sendResponse(res, notFoundResponse('Issue'));
     }
 
+    // Photos attached to disputes are stored with the status log
+    const attachmentIds = (await StatusLog.find({ issueId: id, 'attachments.publicId': { $ne: null } }).select('attachments'))
+      .flatMap(log => log.attachments.map(attachment => attachment.publicId).filter(Boolean));
+
     // Delete related data
     await Promise.all([
       StatusLog.deleteMany({ issueId: id }),
-      Flag.deleteMany({ issueId: id })
+      Flag.deleteMany({ issueId: id }),
+      Comment.deleteMany({ issueId: id }),
+      IssueRevision.deleteMany({ issueId: id }),
+      Notification.deleteMany({ issueId: id }),
+      Vote.deleteMany({ issueId: id })
     ]);
 
     // Delete images from Cloudinary if applicable
     if (issue.images && issue.images.length > 0) {
-      const { deleteFromCloudinary } = require('../middleware/upload');
-      
       for (const image of issue.images) {
         if (image.publicId) {
           await deleteFromCloudinary(image.publicId);
         }
       }
     }
+    for (const publicId of attachmentIds) {
+      await deleteFromCloudinary(publicId);
+    }
 
     // Delete issue
     await Issue.findByIdAndDelete(id);
@@ -452,13 +1138,13 @@ const deleteIssue = async (req, res) => {
 };
 
 /**
- * Upvote/downvote an issue
+ * Upvote, downvote or confirm ("me too") an issue, or withdraw the vote
  * POST /issues/:id/vote
  */
 const voteIssue = async (req, res) => {
   try {
     const { id } = req.params;
-    const { action } = req.body; // 'upvote' or 'remove'
+    const { action } = req.body; // 'upvote', 'downvote', 'confirm' or 'remove'
 
     const issue = await Issue.findById(id);
     if (!issue) {
@@ -469,22 +1155,42 @@ const voteIssue = async (req, res) => {
       return sendError(res, 'Cannot vote on hidden issues', 400);
     }
 
+    if (issue.mergedInto) {
+      return sendError(res, 'This issue was merged into another issue; vote on that one instead', 400);
+    }
+
     let message;
-    if (action === 'upvote') {
-      const added = issue.addUpvote(req.user._id);
-      message = added ? 'Issue upvoted successfully' : 'You have already upvoted this issue';
-    } else if (action === 'remove') {
-      const removed = issue.removeUpvote(req.user._id);
-      message = removed ? 'Upvote removed successfully' : 'You have not upvoted this issue';
+    if (action === 'remove') {
+      const removed = await Vote.removeVote(issue._id, req.user._id);
+      message = removed ? 'Vote removed successfully' : 'You have not voted on this issue';
+    } else if (VOTE_ACTIONS[action]) {
+      const { type, done } = VOTE_ACTIONS[action];
+      const changed = await Vote.castVote(issue._id, req.user._id, type);
+      message = changed ? `Issue ${done} successfully` : `You have already ${done} this issue`;
+
+      // Supporters hear about progress; downvoters don't follow automatically
+      if (type !== 'down') {
+        await Issue.updateOne({ _id: issue._id }, { $addToSet: { followers: req.user._id } });
+      }
     } else {
-      return sendError(res, 'Invalid action. Use "upvote" or "remove"', 400);
+      return sendError(res, 'Invalid action. Use "upvote", "downvote", "confirm" or "remove"', 400);
     }
 
-    await issue.save();
+    await refreshPriority(issue._id);
+
+    // Counters are updated atomically elsewhere, so read them back rather than from the loaded issue
+    const [counts, userVote] = await Promise.all([
+      Issue.findById(issue._id).select('upvotes downvotes confirmations followers'),
+      Vote.getUserVote(issue._id, req.user._id)
+    ]);
 
     const responseData = {
-      upvotes: issue.upvotes,
-      hasUpvoted: issue.upvotedBy.includes(req.user._id)
+      upvotes: counts.upvotes,
+      downvotes: counts.downvotes,
+      confirmations: counts.confirmations,
+      userVote,
+      hasUpvoted: userVote === 'up',
+      isFollowing: counts.followers.includes(req.user._id)
     };
 
     sendSuccess(res, responseData, message);
@@ -494,6 +1200,194 @@ const voteIssue = async (req, res) => {
   }
 };
 
+/**
+ * Dispute an issue's resolution and reopen it (reporter and followers, within the dispute window)
+ * POST /issues/:id/dispute
+ */
+const disputeIssue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUploadedImages(req);
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const { comment } = req.body;
+
+    let issue = await Issue.findById(req.params.id);
+    if (!issue || (issue.isHidden && !await userHasPermission(req.user, 'issues.hidden.view'))) {
+      await discardUploadedImages(req);
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    if (!canDisputeResolution(issue, req.user)) {
+      await discardUploadedImages(req);
+
+      if (!RESOLVED_STATUSES.includes(issue.status)) {
+        return sendError(res, 'Only resolved issues can be disputed', 400);
+      }
+      if (!issue.isWithinDisputeWindow()) {
+        return sendError(res, 'The time to dispute this resolution has passed', 400);
+      }
+      return sendResponse(res, authorizationErrorResponse('Only the reporter and followers can dispute a resolution'));
+    }
+
+    // Back to the assignee if there is one, otherwise to triage
+    const previousStatus = issue.status;
+    const status = issue.assignedTo ? 'Assigned' : 'Reported';
+
+    const problem = checkTransition(previousStatus, status, {
+      role: req.user.role,
+      fields: { comment, assignedTo: issue.assignedTo },
+      via: 'dispute'
+    });
+    if (problem) {
+      await discardUploadedImages(req);
+      return sendTransitionError(res, problem);
+    }
+
+    // Only the first of two concurrent disputes may reopen the issue
+    issue = await Issue.findOneAndUpdate(
+      { _id: issue._id, status: previousStatus },
+      {
+        $set: { status, actualResolutionDate: null },
+        $inc: { reopenCount: 1 },
+        $addToSet: { followers: req.user._id }
+      },
+      { new: true }
+    );
+    if (!issue) {
+      await discardUploadedImages(req);
+      return sendResponse(res, conflictResponse('The issue has already been reopened'));
+    }
+
+    await StatusLog.markResolutionReopened(issue._id, { byDispute: true });
+    await refreshPriority(issue._id);
+
+    // An anonymous reporter disputing stays anonymous
+    const isAnonymous = issue.isAnonymous && issue.createdBy.equals(req.user._id);
+    const photo = req.uploadedImages?.[0];
+
+    const statusLog = await StatusLog.createStatusLog(
+      issue._id,
+      status,
+      req.user._id,
+      {
+        previousStatus,
+        comment,
+        attachments: photo ? [{
+          url: photo.url,
+          publicId: photo.publicId,
+          filename: req.files[0].originalname,
+          type: 'image'
+        }] : [],
+        isDispute: true,
+        isAnonymous,
+        metadata: {
+          source: req.body.source || 'web',
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
+      }
+    );
+
+    await Notification.notifyFollowers(issue, {
+      type: 'issue.status',
+      actor: isAnonymous ? null : req.user._id,
+      message: `The resolution of "${issue.title}" was disputed; it is now ${status}`,
+      details: {
+        statusLog: statusLog._id,
+        status,
+        previousStatus,
+        comment,
+        isDispute: true
+      }
+    });
+
+    const responseData = {
+      issue: {
+        id: issue._id,
+        status: issue.status,
+        actualResolutionDate: issue.actualResolutionDate,
+        reopenCount: issue.reopenCount,
+        sla: formatSla(issue),
+        updatedAt: issue.updatedAt
+      },
+      statusLog: statusLog.toAPIResponse()
+    };
+
+    sendSuccess(res, responseData, 'Resolution disputed; the issue has been reopened');
+  } catch (error) {
+    console.error('Dispute issue error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendResponse(res, validationErrorResponse(error));
+    }
+
+    sendError(res, 'Failed to dispute issue resolution', 500, error.message);
+  }
+};
+
+/**
+ * Follow an issue to be notified when it changes
+ * POST /issues/:id/follow
+ */
+const followIssue = async (req, res) => {
+  try {
+    const issue = await Issue.findById(req.params.id);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    if (issue.isHidden) {
+      return sendError(res, 'Cannot follow hidden issues', 400);
+    }
+
+    if (issue.mergedInto) {
+      return sendError(res, 'This issue was merged into another issue; follow that one instead', 400);
+    }
+
+    const added = issue.addFollower(req.user._id);
+    await issue.save();
+
+    const responseData = {
+      isFollowing: true,
+      followerCount: issue.followers.length
+    };
+
+    sendSuccess(res, responseData, added ? 'Issue followed successfully' : 'You already follow this issue');
+  } catch (error) {
+    console.error('Follow issue error:', error);
+    sendError(res, 'Failed to follow issue', 500, error.message);
+  }
+};
+
+/**
+ * Stop following an issue
+ * DELETE /issues/:id/follow
+ */
+const unfollowIssue = async (req, res) => {
+  try {
+    const issue = await Issue.findById(req.params.id);
+    if (!issue) {
+      return sendResponse(res, notFoundResponse('Issue'));
+    }
+
+    const removed = issue.removeFollower(req.user._id);
+    await issue.save();
+
+    const responseData = {
+      isFollowing: false,
+      followerCount: issue.followers.length
+    };
+
+    sendSuccess(res, responseData, removed ? 'Issue unfollowed successfully' : 'You do not follow this issue');
+  } catch (error) {
+    console.error('Unfollow issue error:', error);
+    sendError(res, 'Failed to unfollow issue', 500, error.message);
+  }
+};
+
 /**
  * Flag an issue
  * POST /issues/:id/flag
@@ -562,7 +1456,7 @@ const getIssueStatusLog = async (req, res) => {
     }
 
     // Check if user can view the issue
-    if (issue.isHidden && (!req.user || req.user.role === 'citizen')) {
+    if (issue.isHidden && !await userHasPermission(req.user, 'issues.hidden.view')) {
       return sendResponse(res, notFoundResponse('Issue'));
     }
 
@@ -574,12 +1468,17 @@ const getIssueStatusLog = async (req, res) => {
       previousStatus: log.previousStatus,
       comment: log.comment,
       estimatedResolutionDate: log.estimatedResolutionDate,
-      updatedBy: {
+      updatedBy: log.isAnonymous || !log.updatedBy ? null : {
         id: log.updatedBy._id,
         name: log.updatedBy.name,
         role: log.updatedBy.role
       },
+      attachments: log.attachments,
       isSystemGenerated: log.isSystemGenerated,
+      isDispute: log.isDispute,
+      isResolution: log.isResolution,
+      reopenedAt: log.reopenedAt,
+      slaBreach: log.slaBreach,
       createdAt: log.createdAt
     }));
 
@@ -590,13 +1489,51 @@ const getIssueStatusLog = async (req, res) => {
   }
 };
 
+/**
+ * Get the issue workflow: the statuses and the transitions allowed between them
+ * GET /issues/workflow
+ */
+const getWorkflow = async (req, res) => {
+  try {
+    const transitions = Object.entries(TRANSITIONS).flatMap(([from, targets]) =>
+      Object.entries(targets).map(([to, transition]) => ({
+        from,
+        to,
+        roles: transition.roles,
+        requires: transition.requires || [],
+        via: transition.via || null
+      }))
+    );
+
+    const responseData = {
+      statuses: STATUSES,
+      openStatuses: OPEN_STATUSES,
+      resolvedStatuses: RESOLVED_STATUSES,
+      transitions
+    };
+
+    sendSuccess(res, responseData, 'Workflow retrieved successfully');
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    sendError(res, 'Failed to retrieve workflow', 500, error.message);
+  }
+};
+
 module.exports = {
   createIssue,
   getIssues,
   getIssueById,
+  updateIssue,
+  getIssueRevisions,
   updateIssueStatus,
+  updateIssuePriority,
+  mergeIssues,
   deleteIssue,
   voteIssue,
+  disputeIssue,
+  followIssue,
+  unfollowIssue,
   flagIssue,
-  getIssueStatusLog
+  getIssueStatusLog,
+  getWorkflow
 };
\ No newline at end of file
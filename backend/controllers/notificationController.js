@@ -0,0 +1,141 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const {
+  sendSuccess,
+  sendError,
+  sendPaginated,
+  sendCursorPaginated,
+  validationErrorResponse,
+  notFoundResponse,
+  sendResponse
+} = require('../utils/apiResponse');
+const { parseCursorPagination, fetchCursorPage } = require('../utils/pagination');
+
+/**
+ * Get the current user's notifications, newest first
+ * GET /notifications
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') query.readAt = null;
+
+    const cursorPage = parseCursorPagination(req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: '-createdAt',
+      defaultLimit: 20
+    });
+    if (cursorPage?.error) {
+      return sendError(res, cursorPage.error, 400);
+    }
+
+    const populateNotification = notificationsQuery => notificationsQuery
+      .populate('issueId', 'title status')
+      .populate('actor', 'name role');
+
+    let notifications;
+    let totalCount;
+    let nextCursor;
+    if (cursorPage) {
+      ({ items: notifications, total: totalCount, nextCursor } = await fetchCursorPage(Notification, {
+        filter: query,
+        cursorPage,
+        prepare: populateNotification
+      }));
+    } else {
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      [notifications, totalCount] = await Promise.all([
+        populateNotification(Notification.find(query))
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(query)
+      ]);
+    }
+
+    const formattedNotifications = notifications.map(notification => notification.toAPIResponse());
+
+    if (cursorPage) {
+      return sendCursorPaginated(res, formattedNotifications, {
+        limit: cursorPage.limit,
+        nextCursor,
+        total: totalCount
+      }, 'Notifications retrieved successfully');
+    }
+
+    sendPaginated(res, formattedNotifications, page, limit, totalCount, 'Notifications retrieved successfully');
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    sendError(res, 'Failed to retrieve notifications', 500, error.message);
+  }
+};
+
+/**
+ * Count the current user's unread notifications
+ * GET /notifications/unread-count
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    sendSuccess(res, { unreadCount }, 'Unread notifications counted successfully');
+  } catch (error) {
+    console.error('Count unread notifications error:', error);
+    sendError(res, 'Failed to count unread notifications', 500, error.message);
+  }
+};
+
+/**
+ * Mark one notification as read
+ * PUT /notifications/:id/read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, validationErrorResponse(errors.array()));
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return sendResponse(res, notFoundResponse('Notification'));
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    sendSuccess(res, { notification: notification.toAPIResponse() }, 'Notification marked as read');
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    sendError(res, 'Failed to update notification', 500, error.message);
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * PUT /notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    sendSuccess(res, { updated: result.modifiedCount }, 'All notifications marked as read');
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    sendError(res, 'Failed to update notifications', 500, error.message);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -1,11 +1,166 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authErrorResponse, authorizationErrorResponse, sendResponse } = require('../utils/apiResponse');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const { getPermissionsForRole } = require('../utils/permissions');
+const {
+  authErrorResponse,
+  authorizationErrorResponse,
+  notFoundResponse,
+  rateLimitResponse,
+  sendError,
+  sendResponse,
+  validationErrorResponse
+} = require('../utils/apiResponse');
+
+// Methods allowed while an admin is viewing the app as another user
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Build the error thrown for tokens that are no longer valid
+ * @param {string} message - Error message
+ * @returns {Error} Error named TokenRevokedError
+ */
+const tokenRevokedError = (message = 'Token has been revoked') => {
+  const error = new Error(message);
+  error.name = 'TokenRevokedError';
+  return error;
+};
+
+/**
+ * Load the impersonation behind a "view as user" token and check it is still allowed
+ * @param {Object} decoded - Decoded JWT payload carrying the imp claim
+ * @returns {Object} Impersonation document
+ */
+const resolveImpersonation = async (decoded) => {
+  const impersonation = await Impersonation.findById(decoded.imp);
+
+  if (!impersonation || !impersonation.isActive() || impersonation.user.toString() !== decoded.id) {
+    // Impersonations that ran out of time have not been audited as ended yet
+    if (impersonation && !impersonation.endedAt) {
+      await impersonation.closeExpired();
+    }
+    throw tokenRevokedError('Impersonation has ended');
+  }
+
+  // The admin must still be allowed to impersonate for the token to keep working
+  const admin = await User.findById(impersonation.admin);
+  const adminPermissions = admin ? await getPermissionsForRole(admin.role) : new Set();
+  if (!admin || !admin.isActive || admin.isBannedUser() || !adminPermissions.has('users.impersonate')) {
+    throw tokenRevokedError('Impersonation has ended');
+  }
+
+  return impersonation;
+};
+
+/**
+ * Verify an access token and load its user, rejecting revoked tokens
+ * @param {string} token - JWT access token
+ * @returns {Object} { user, decoded, session }
+ */
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. two-factor challenges) are not access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  if (await RevokedToken.isRevoked(decoded.jti)) {
+    throw tokenRevokedError();
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // Tokens issued before the user's sessions were revoked are no longer valid
+  if (user && (decoded.ver || 0) !== (user.tokenVersion || 0)) {
+    throw tokenRevokedError();
+  }
+
+  // Tokens belonging to a session that was ended are no longer valid
+  let session = null;
+  if (decoded.sid) {
+    session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive()) {
+      throw tokenRevokedError('Session has ended');
+    }
+  }
+
+  const impersonation = decoded.imp ? await resolveImpersonation(decoded) : null;
+
+  return { user, decoded, session, impersonation };
+};
+
+/**
+ * Attach an authenticated user to the request
+ * @param {Object} req - Express request
+ * @param {Object} auth - Result of resolveAccessToken
+ */
+const attachAuthentication = (req, { user, decoded, session, impersonation }) => {
+  req.user = user;
+  req.tokenPayload = decoded;
+  req.authSession = session;
+  req.impersonation = impersonation;
+
+  if (session) {
+    session.touch(req.ip).catch(error => {
+      console.error('Session last-seen update error:', error.message);
+    });
+  }
+
+  // Mark every request made while an admin is viewing as this user
+  if (impersonation) {
+    req.res.set('X-Impersonated-By', impersonation.admin.toString());
+    impersonation.recordRequest().catch(error => {
+      console.error('Impersonation request count error:', error.message);
+    });
+  }
+};
+
+/**
+ * Reject anything but reads while impersonating, and audit the attempt
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the request was rejected
+ */
+const rejectImpersonatedWrite = (req, res) => {
+  if (!req.impersonation || IMPERSONATION_SAFE_METHODS.includes(req.method)) {
+    return false;
+  }
+
+  AuditLog.record(req, 'impersonation.blocked', {
+    actor: req.impersonation.admin,
+    targetUser: req.impersonation.user,
+    details: {
+      impersonation: req.impersonation._id,
+      method: req.method,
+      path: req.originalUrl
+    }
+  }).catch(error => {
+    console.error('Impersonation audit error:', error.message);
+  });
+
+  sendResponse(res, authorizationErrorResponse(
+    'This action is not available while viewing as another user'
+  ));
+  return true;
+};
 
 /**
  * Verify JWT token and authenticate user
  */
 const authenticate = async (req, res, next) => {
+  // Already authenticated by an API key (see allowApiKey)
+  if (req.apiKey) return next();
+
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -14,11 +169,9 @@ const authenticate = async (req, res, next) => {
       return sendResponse(res, authErrorResponse('Access token required'));
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user by ID from token
-    const user = await User.findById(decoded.id);
+    // Verify token and find user by ID from token
+    const auth = await resolveAccessToken(token);
+    const { user } = auth;
     
     if (!user) {
       return sendResponse(res, authErrorResponse('User not found'));
@@ -34,8 +187,11 @@ const authenticate = async (req, res, next) => {
       return sendResponse(res, authErrorResponse('User account is inactive'));
     }
 
-    // Add user to request object
-    req.user = user;
+    // Add user, token payload and session to request object
+    attachAuthentication(req, auth);
+
+    if (rejectImpersonatedWrite(req, res)) return;
+
     next();
   } catch (error) {
     console.error('Authentication error:', error.message);
@@ -44,6 +200,8 @@ const authenticate = async (req, res, next) => {
       return sendResponse(res, authErrorResponse('Invalid token'));
     } else if (error.name === 'TokenExpiredError') {
       return sendResponse(res, authErrorResponse('Token expired'));
+    } else if (error.name === 'TokenRevokedError') {
+      return sendResponse(res, authErrorResponse('Token has been revoked'));
     }
     
     return sendResponse(res, authErrorResponse('Authentication failed'));
@@ -54,15 +212,19 @@ const authenticate = async (req, res, next) => {
  * Optional authentication - sets user if token is provided
  */
 const optionalAuthenticate = async (req, res, next) => {
+  if (req.apiKey) return next();
+
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const auth = await resolveAccessToken(token);
+      const { user } = auth;
       
       if (user && !user.isBannedUser() && user.isActive) {
-        req.user = user;
+        attachAuthentication(req, auth);
+
+        if (rejectImpersonatedWrite(req, res)) return;
       }
     }
     
@@ -73,114 +235,214 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+// Request timestamps per API key for the per-key rate limit
+const apiKeyRequests = new Map();
+
 /**
- * Check if user has required role(s)
- * @param {string|Array} roles - Required role(s)
+ * Accept an X-API-Key header on this route if the key grants the scope.
+ * Place before authenticate/optionalAuthenticate; requests without the
+ * header fall through to JWT authentication.
+ * @param {string} scope - Required API key scope
  */
-const authorize = (roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return sendResponse(res, authErrorResponse('Authentication required'));
-    }
+const allowApiKey = (scope) => {
+  return async (req, res, next) => {
+    const rawKey = req.header('X-API-Key');
+    if (!rawKey) return next();
 
-    const userRole = req.user.role;
-    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    try {
+      const apiKey = await ApiKey.findByKey(rawKey);
 
-    if (!allowedRoles.includes(userRole)) {
-      return sendResponse(res, authorizationErrorResponse(
-        `Access denied. Required role: ${allowedRoles.join(' or ')}`
-      ));
-    }
+      if (!apiKey || !apiKey.isUsable()) {
+        return sendResponse(res, authErrorResponse('Invalid or revoked API key'));
+      }
 
-    next();
+      if (!apiKey.hasScope(scope)) {
+        return sendResponse(res, authorizationErrorResponse(
+          `API key is missing the required scope: ${scope}`
+        ));
+      }
+
+      // Per-key sliding window rate limit
+      const { maxRequests, windowMs } = apiKey.rateLimit;
+      const keyId = apiKey._id.toString();
+      const now = Date.now();
+      const validRequests = (apiKeyRequests.get(keyId) || []).filter(time => time > now - windowMs);
+
+      if (validRequests.length >= maxRequests) {
+        return sendResponse(res, rateLimitResponse('API key rate limit exceeded', {
+          maxRequests,
+          windowMs,
+          remainingRequests: 0,
+          resetTime: new Date(validRequests[0] + windowMs)
+        }));
+      }
+
+      validRequests.push(now);
+      apiKeyRequests.set(keyId, validRequests);
+
+      res.set({
+        'X-RateLimit-Limit': maxRequests,
+        'X-RateLimit-Remaining': maxRequests - validRequests.length,
+        'X-RateLimit-Reset': new Date(now + windowMs)
+      });
+
+      // The key acts as the account it was issued for
+      const user = await User.findById(apiKey.user);
+      if (!user || user.isBannedUser() || !user.isActive) {
+        return sendResponse(res, authErrorResponse('API key owner account is not active'));
+      }
+
+      apiKey.touch(req.ip).catch(error => console.error('API key usage tracking error:', error.message));
+
+      req.user = user;
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error('API key authentication error:', error.message);
+      return sendResponse(res, authErrorResponse('Authentication failed'));
+    }
   };
 };
 
 /**
- * Check if user is admin
+ * Find an account state that must be dealt with before privileged or owner-only routes
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} Reason the user is blocked, or null
  */
-const requireAdmin = authorize(['admin']);
+const getAccountStateBlock = (user) => {
+  // Staff with enforced two-factor must enroll before using privileged routes
+  if (user.needsTwoFactorSetup()) {
+    return 'Two-factor authentication must be enabled for this account';
+  }
 
-/**
- * Check if user is agent or admin
- */
-const requireAgent = authorize(['agent', 'admin']);
+  // Default or admin-chosen passwords must be replaced first
+  if (user.mustChangePassword) {
+    return 'Password must be changed before continuing';
+  }
 
-/**
- * Check if user is citizen, agent, or admin (any authenticated user)
- */
-const requireAuth = authenticate;
+  return null;
+};
 
 /**
- * Check if user owns the resource or has admin/agent privileges
- * @param {string} resourceUserField - Field name containing the user ID in the resource
+ * Check if the user's role grants every listed permission
+ * @param {...string} permissions - Required permission keys (see config/permissions)
  */
-const requireOwnershipOrAgent = (resourceUserField = 'createdBy') => {
-  return (req, res, next) => {
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return sendResponse(res, authErrorResponse('Authentication required'));
     }
 
-    const userRole = req.user.role;
-    const userId = req.user._id.toString();
+    try {
+      const granted = await getPermissionsForRole(req.user.role);
+      const missing = permissions.filter(permission => !granted.has(permission));
 
-    // Admin and agent have access to all resources
-    if (userRole === 'admin' || userRole === 'agent') {
-      return next();
-    }
+      if (missing.length > 0) {
+        return sendResponse(res, authorizationErrorResponse(
+          `Access denied. Missing permission: ${missing.join(', ')}`
+        ));
+      }
 
-    // For citizens, check ownership
-    const resourceUserId = req.resource?.[resourceUserField]?.toString() || 
-                          req.body?.[resourceUserField]?.toString() ||
-                          req.params?.userId;
+      const blocked = getAccountStateBlock(req.user);
+      if (blocked) {
+        return sendResponse(res, authorizationErrorResponse(blocked));
+      }
 
-    if (resourceUserId && resourceUserId === userId) {
-      return next();
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error.message);
+      return sendError(res, 'Unable to verify permissions', 500, error.message);
     }
-
-    return sendResponse(res, authorizationErrorResponse(
-      'Access denied. You can only access your own resources.'
-    ));
   };
 };
 
 /**
- * Check if user can modify the resource (owner, agent, or admin)
+ * Load the document named by req.params.id into req.resource for ownership checks
+ * @param {string} modelName - Name of the Mongoose model to load from, e.g. 'Issue'
  */
-const canModifyResource = (resourceUserField = 'createdBy') => {
+const loadResource = (modelName) => {
   return async (req, res, next) => {
-    if (!req.user) {
-      return sendResponse(res, authErrorResponse('Authentication required'));
-    }
+    try {
+      // The id is validated by the route; report it before trying to load
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendResponse(res, validationErrorResponse(errors.array()));
+      }
 
-    const userRole = req.user.role;
-    const userId = req.user._id.toString();
+      req.resource = await mongoose.model(modelName).findById(req.params.id);
+      if (!req.resource) {
+        return sendResponse(res, notFoundResponse(modelName));
+      }
 
-    // Admin has full access
-    if (userRole === 'admin') {
-      return next();
+      next();
+    } catch (error) {
+      console.error('Load resource error:', error.message);
+      return sendError(res, `Unable to load ${modelName.toLowerCase()}`, 500, error.message);
     }
+  };
+};
 
-    // Agent can modify certain fields
-    if (userRole === 'agent') {
-      req.isAgent = true;
-      return next();
+/**
+ * Let the owner of req.resource through, otherwise require a permission
+ * Sets req.isOwner so controllers can restrict what owners may change.
+ * @param {string} permission - Permission that grants access to anyone's resource
+ * @param {string} resourceUserField - Field name containing the owner ID in the resource
+ */
+const requireOwnershipOrPermission = (permission, resourceUserField = 'createdBy') => {
+  const checkPermission = requirePermission(permission);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendResponse(res, authErrorResponse('Authentication required'));
     }
 
-    // Citizens can only modify their own resources
-    const resourceUserId = req.resource?.[resourceUserField]?.toString();
-    
-    if (resourceUserId && resourceUserId === userId) {
+    const ownerField = req.resource?.[resourceUserField];
+    const resourceUserId = (ownerField?._id || ownerField)?.toString();
+
+    if (resourceUserId && resourceUserId === req.user._id.toString()) {
+      // Owners skip the permission check but not the account-state gates
+      const blocked = getAccountStateBlock(req.user);
+      if (blocked) {
+        return sendResponse(res, authorizationErrorResponse(blocked));
+      }
+
       req.isOwner = true;
       return next();
     }
 
-    return sendResponse(res, authorizationErrorResponse(
-      'Access denied. Insufficient permissions to modify this resource.'
-    ));
+    return checkPermission(req, res, next);
   };
 };
 
+/**
+ * Block unverified citizens from creating content
+ * Enabled unless REQUIRE_EMAIL_VERIFICATION is set to 'false'
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return sendResponse(res, authErrorResponse('Authentication required'));
+  }
+
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+
+  // Staff accounts are provisioned by admins and are not gated
+  if (req.user.role !== 'citizen' || req.user.isEmailVerified) {
+    return next();
+  }
+
+  return sendResponse(res, authorizationErrorResponse(
+    'Please verify your email address before performing this action'
+  ));
+};
+
+/**
+ * Check if user is citizen, agent, or admin (any authenticated user)
+ */
+const requireAuth = authenticate;
+
 /**
  * Rate limiting by user
  */
@@ -231,22 +493,148 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 };
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for user
  * @param {Object} user - User object
+ * @param {Object} session - Login session the token belongs to
+ * @returns {string} JWT token
+ */
+const generateToken = (user, session = null) => {
+  const payload = {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    ver: user.tokenVersion || 0
+  };
+
+  if (session) {
+    payload.sid = session._id.toString();
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Generate a "view as user" access token that expires with its impersonation
+ * @param {Object} user - Impersonated user
+ * @param {Object} impersonation - Impersonation document
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateImpersonationToken = (user, impersonation) => {
   const payload = {
     id: user._id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    ver: user.tokenVersion || 0,
+    imp: impersonation._id.toString()
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: Math.max(Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000), 1),
+    jwtid: crypto.randomUUID()
   });
 };
 
+/**
+ * Issue an access token together with a rotating refresh token
+ * A new login starts a session; rotating an existing family keeps its session.
+ * @param {Object} user - User object
+ * @param {Object} req - Express request (for client metadata)
+ * @param {string} family - Existing refresh token family when rotating
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt, refreshTokenDoc, session }
+ */
+const issueAuthTokens = async (user, req, family) => {
+  const { token: refreshToken, refreshToken: refreshTokenDoc } = await RefreshToken.issue(user._id, {
+    family,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  let session = family ? await Session.findOne({ family }) : null;
+  if (session) {
+    session.expiresAt = refreshTokenDoc.expiresAt;
+    session.lastSeenAt = new Date();
+    session.lastSeenIp = req.ip;
+    await session.save();
+  } else {
+    session = await Session.start(user._id, req, {
+      family: refreshTokenDoc.family,
+      expiresAt: refreshTokenDoc.expiresAt
+    });
+  }
+
+  return {
+    token: generateToken(user, session),
+    refreshToken,
+    refreshTokenExpiresAt: refreshTokenDoc.expiresAt,
+    refreshTokenDoc,
+    session
+  };
+};
+
+/**
+ * Revoke every access and refresh token a user currently holds
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason recorded on revoked refresh tokens and sessions
+ * @param {string} revokedBy - Admin who ended the sessions, if any
+ * @returns {number} The user's new token version
+ */
+const revokeUserSessions = async (userId, reason = 'All sessions revoked', revokedBy = null) => {
+  const [user] = await Promise.all([
+    User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }),
+    RefreshToken.revokeAllForUser(userId, reason),
+    Session.revokeAllForUser(userId, reason, revokedBy)
+  ]);
+
+  return user ? user.tokenVersion : null;
+};
+
+/**
+ * Add a single access token to the revocation list
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {string} reason - Revocation reason
+ */
+const revokeAccessToken = async (decoded, reason = 'Logout') => {
+  if (!decoded || !decoded.jti || !decoded.exp) return;
+
+  await RevokedToken.revoke(decoded.jti, new Date(decoded.exp * 1000), {
+    user: decoded.id,
+    reason
+  });
+};
+
+/**
+ * Generate a short-lived token proving the password step of a two-factor login
+ * @param {Object} user - User object
+ * @returns {string} JWT challenge token
+ */
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded payload
+ */
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== 'two_factor') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return decoded;
+};
+
 /**
  * Verify token without middleware (utility function)
  * @param {string} token - JWT token
@@ -259,13 +647,19 @@ const verifyToken = (token) => {
 module.exports = {
   authenticate,
   optionalAuthenticate,
-  authorize,
-  requireAdmin,
-  requireAgent,
+  allowApiKey,
+  requirePermission,
+  loadResource,
+  requireOwnershipOrPermission,
   requireAuth,
-  requireOwnershipOrAgent,
-  canModifyResource,
+  requireVerifiedEmail,
   userRateLimit,
   generateToken,
+  generateImpersonationToken,
+  issueAuthTokens,
+  revokeUserSessions,
+  revokeAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   verifyToken
 };
\ No newline at end of file
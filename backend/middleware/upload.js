@@ -150,6 +150,25 @@ const handleIssueImageUpload = (req, res, next) => {
   });
 };
 
+/**
+ * Middleware to handle the optional photo sent with a dispute
+ */
+const handleDisputePhotoUpload = (req, res, next) => {
+  uploadIssueImages.array('photo', 1)(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return sendError(res, 'File size too large. Maximum 5MB per image.', 400);
+        } else if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return sendError(res, 'Attach at most one photo, using the "photo" field.', 400);
+        }
+      }
+      return sendError(res, err.message || 'Image upload failed', 400);
+    }
+    next();
+  });
+};
+
 /**
  * Middleware to handle avatar upload
  */
@@ -261,6 +280,7 @@ const handleUploadError = (err, req, res, next) => {
 
 module.exports = {
   handleIssueImageUpload,
+  handleDisputePhotoUpload,
   handleAvatarUpload,
   processUploadedImages,
   processUploadedAvatar,
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/secureToken');
+
+const API_KEY_SCOPES = ['issues:read', 'issues:create', 'issues:status'];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true // Non-secret part shown to admins to identify the key
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'The account the key acts as is required']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimit: {
+    maxRequests: {
+      type: Number,
+      default: 1000,
+      min: [1, 'Rate limit must allow at least 1 request']
+    },
+    windowMs: {
+      type: Number,
+      default: 60 * 60 * 1000 // 1 hour
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+apiKeySchema.index({ user: 1 });
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Static method to generate a key; the raw key is only available here
+apiKeySchema.statics.generate = async function(data) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+  const key = `cf_${prefix}_${secret}`;
+
+  const apiKey = await new this({
+    ...data,
+    prefix,
+    keyHash: hashToken(key)
+  }).save();
+
+  return { key, apiKey };
+};
+
+// Static method to find a key by its raw value
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+// Check if key can still be used
+apiKeySchema.methods.isUsable = function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt.getTime() > Date.now();
+};
+
+// Check if key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record usage without holding up the request
+apiKeySchema.methods.touch = function(ipAddress) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      $inc: { usageCount: 1 }
+    }
+  );
+};
+
+// Method to format for API response
+apiKeySchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    user: this.user,
+    scopes: this.scopes,
+    rateLimit: this.rateLimit,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    usageCount: this.usageCount,
+    createdBy: this.createdBy,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'impersonation.start',
+  'impersonation.stop',
+  'impersonation.expired',
+  'impersonation.blocked',
+  'issue.reporter.revealed'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  metadata: {
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+// Static method to record an audit event; req is null for background jobs
+auditLogSchema.statics.record = function(req, action, options = {}) {
+  const {
+    actor,
+    targetUser = null,
+    details = {}
+  } = options;
+
+  return this.create({
+    action,
+    actor,
+    targetUser,
+    details,
+    metadata: req ? {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    } : {}
+  });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// Replies deeper than this are attached to the deepest allowed ancestor
+const MAX_DEPTH = 3;
+
+// Flags needed before a comment is hidden pending review
+const AUTO_HIDE_FLAG_COUNT = 3;
+
+const commentSchema = new mongoose.Schema({
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: [true, 'Issue ID is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null // Null for top-level comments
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_DEPTH
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    required: [function() { return !this.deletedAt; }, 'Comment text is required']
+  },
+  isOfficial: {
+    type: Boolean,
+    default: false // Posted by staff speaking for the city
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  flagCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  metadata: {
+    ipAddress: String,
+    userAgent: String,
+    source: {
+      type: String,
+      enum: ['web', 'mobile', 'api'],
+      default: 'web'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+commentSchema.index({ issueId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Static method to get the edit window in milliseconds
+commentSchema.statics.getEditWindowMs = function() {
+  return (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+};
+
+// Static method to get every comment on an issue, oldest first
+commentSchema.statics.getIssueComments = function(issueId) {
+  return this.find({ issueId })
+    .populate('author', 'name role avatar isEmailVerified')
+    .sort({ createdAt: 1 });
+};
+
+// Check if the comment has been soft deleted
+commentSchema.methods.isDeleted = function() {
+  return !!this.deletedAt;
+};
+
+// Check if the author may still edit the comment
+commentSchema.methods.isEditable = function() {
+  return !this.isDeleted() &&
+    Date.now() - this.createdAt.getTime() < this.constructor.getEditWindowMs();
+};
+
+// Check if the comment was written by the given user
+commentSchema.methods.isAuthoredBy = function(userId) {
+  const authorId = this.author?._id || this.author;
+  return !!userId && authorId.toString() === userId.toString();
+};
+
+// Method to replace the text while keeping the comment in its thread
+commentSchema.methods.softDelete = function(userId) {
+  this.body = undefined;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// Method to hide the comment once it collects enough flags
+commentSchema.methods.checkAutoHide = function() {
+  if (this.flagCount >= AUTO_HIDE_FLAG_COUNT && !this.isHidden) {
+    this.isHidden = true;
+    this.hiddenReason = 'Auto-hidden due to multiple flags';
+    return true;
+  }
+  return false;
+};
+
+// Method to format for API response; removed text is withheld unless the
+// viewer may moderate comments
+commentSchema.methods.toAPIResponse = function(options = {}) {
+  const { viewerId = null, canModerate = false } = options;
+  const isDeleted = this.isDeleted();
+  const isAuthor = this.isAuthoredBy(viewerId);
+  const showBody = !isDeleted && (!this.isHidden || canModerate || isAuthor);
+
+  return {
+    id: this._id,
+    issueId: this.issueId,
+    parentId: this.parentId,
+    depth: this.depth,
+    author: isDeleted ? null : this.author,
+    body: showBody ? this.body : null,
+    isOfficial: this.isOfficial,
+    isEdited: !!this.editedAt,
+    editedAt: this.editedAt,
+    isDeleted,
+    isHidden: this.isHidden,
+    ...(canModerate && {
+      hiddenReason: this.hiddenReason,
+      flagCount: this.flagCount
+    }),
+    canEdit: isAuthor && this.isEditable(),
+    canDelete: !isDeleted && (isAuthor || canModerate),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+Comment.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = Comment;
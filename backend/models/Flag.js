@@ -6,6 +6,11 @@ const flagSchema = new mongoose.Schema({
     ref: 'Issue',
     required: [true, 'Issue ID is required']
   },
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null // Set when a comment on the issue is flagged rather than the issue
+  },
   flaggedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -57,6 +62,8 @@ const flagSchema = new mongoose.Schema({
       'No Action',
       'Issue Hidden',
       'Issue Deleted', 
+      'Comment Hidden',
+      'Comment Deleted',
       'User Warned',
       'User Banned',
       'Content Modified',
@@ -85,7 +92,7 @@ const flagSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
-flagSchema.index({ issueId: 1, flaggedBy: 1 }, { unique: true }); // Prevent duplicate flags by same user
+flagSchema.index({ issueId: 1, commentId: 1, flaggedBy: 1 }, { unique: true }); // Prevent duplicate flags by same user
 flagSchema.index({ issueId: 1, createdAt: -1 });
 flagSchema.index({ flaggedBy: 1 });
 flagSchema.index({ status: 1, createdAt: -1 });
@@ -100,6 +107,14 @@ flagSchema.virtual('issue', {
   justOne: true
 });
 
+// Virtual to populate comment details
+flagSchema.virtual('comment', {
+  ref: 'Comment',
+  localField: 'commentId',
+  foreignField: '_id',
+  justOne: true
+});
+
 // Virtual to populate flagged by user details
 flagSchema.virtual('flaggedByUser', {
   ref: 'User',
@@ -116,15 +131,15 @@ flagSchema.virtual('reviewedByUser', {
   justOne: true
 });
 
-// Static method to check if user has already flagged an issue
-flagSchema.statics.hasUserFlagged = async function(issueId, userId) {
-  const flag = await this.findOne({ issueId, flaggedBy: userId });
+// Static method to check if user has already flagged an issue (or one of its comments)
+flagSchema.statics.hasUserFlagged = async function(issueId, userId, commentId = null) {
+  const flag = await this.findOne({ issueId, commentId, flaggedBy: userId });
   return !!flag;
 };
 
 // Static method to get flags for an issue
 flagSchema.statics.getIssueFlags = function(issueId) {
-  return this.find({ issueId })
+  return this.find({ issueId, commentId: null })
     .populate('flaggedBy', 'name email')
     .populate('reviewedBy', 'name email role')
     .sort({ createdAt: -1 });
@@ -183,6 +198,7 @@ flagSchema.methods.toAPIResponse = function() {
   return {
     id: this._id,
     issueId: this.issueId,
+    commentId: this.commentId,
     flaggedBy: this.flaggedBy,
     reason: this.reason,
     description: this.description,
@@ -197,9 +213,16 @@ flagSchema.methods.toAPIResponse = function() {
   };
 };
 
-// Pre-save middleware to update issue flag count
+// isNew is already false by the time post-save hooks run. The issue hook below used to
+// check isNew directly, so issue flag counts never rose and issues were never auto-hidden
+flagSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Post-save middleware to update issue flag count
 flagSchema.post('save', async function() {
-  if (this.isNew) {
+  if (this.$locals.wasNew && !this.commentId) {
     const Issue = mongoose.model('Issue');
     await Issue.findByIdAndUpdate(
       this.issueId,
@@ -215,8 +238,31 @@ flagSchema.post('save', async function() {
   }
 });
 
+// Post-save middleware to update comment flag count
+flagSchema.post('save', async function() {
+  if (!this.$locals.wasNew || !this.commentId) return;
+
+  const Comment = mongoose.model('Comment');
+  const comment = await Comment.findByIdAndUpdate(
+    this.commentId,
+    { $inc: { flagCount: 1 } },
+    { new: true }
+  );
+
+  // Check if comment should be auto-hidden
+  if (comment && comment.checkAutoHide()) {
+    await comment.save();
+  }
+});
+
 // Pre-remove middleware to update issue flag count
 flagSchema.pre('remove', async function() {
+  if (this.commentId) {
+    const Comment = mongoose.model('Comment');
+    await Comment.findByIdAndUpdate(this.commentId, { $inc: { flagCount: -1 } });
+    return;
+  }
+
   const Issue = mongoose.model('Issue');
   await Issue.findByIdAndUpdate(
     this.issueId,
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Admin is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Impersonated user is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastRequestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to start a time-boxed impersonation
+impersonationSchema.statics.begin = function(admin, user, reason) {
+  const ttlMinutes = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+
+  return this.create({
+    admin: admin._id,
+    user: user._id,
+    reason,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+};
+
+// Check if the impersonation token may still be used
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt.getTime() > Date.now();
+};
+
+// Close an impersonation that ran out of time and audit it, once; the end is
+// recorded as the expiry time with no endedBy
+impersonationSchema.methods.closeExpired = async function(req = null) {
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, endedAt: null, expiresAt: { $lte: new Date() } },
+    { $set: { endedAt: this.expiresAt } }
+  );
+  if (modifiedCount === 0) return false;
+
+  this.endedAt = this.expiresAt;
+  await mongoose.model('AuditLog').record(req, 'impersonation.expired', {
+    actor: this.admin,
+    targetUser: this.user,
+    details: {
+      impersonation: this._id,
+      requestCount: this.requestCount
+    }
+  });
+  return true;
+};
+
+// Static method to close and audit every impersonation that expired unnoticed
+impersonationSchema.statics.closeAllExpired = async function() {
+  const expired = await this.find({ endedAt: null, expiresAt: { $lte: new Date() } });
+  const closed = await Promise.all(expired.map(impersonation => impersonation.closeExpired()));
+  return closed.filter(Boolean).length;
+};
+
+// Count a request made under the impersonation without holding it up
+impersonationSchema.methods.recordRequest = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { requestCount: 1 }, $set: { lastRequestAt: new Date() } }
+  );
+};
+
+// Method to format for API response
+impersonationSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    admin: this.admin,
+    user: this.user,
+    reason: this.reason,
+    status: this.endedBy ? 'Ended' : (this.isActive() ? 'Active' : 'Expired'),
+    expiresAt: this.expiresAt,
+    endedAt: this.endedAt,
+    endedBy: this.endedBy,
+    requestCount: this.requestCount,
+    lastRequestAt: this.lastRequestAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
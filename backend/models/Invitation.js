@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { generateSecureToken, hashToken, expiresInHours } = require('../utils/secureToken');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    enum: ['agent', 'admin'],
+    required: [true, 'Role is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+// Virtual for the invitation state
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'Accepted';
+  if (this.revokedAt) return 'Revoked';
+  if (this.expiresAt.getTime() <= Date.now()) return 'Expired';
+  return 'Pending';
+});
+
+// Static method to create an invitation; the raw token is only available here
+invitationSchema.statics.createInvitation = async function(data) {
+  const { token, hash } = generateSecureToken();
+  const ttlHours = parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+
+  const invitation = await new this({
+    ...data,
+    tokenHash: hash,
+    expiresAt: expiresInHours(ttlHours)
+  }).save();
+
+  return { token, invitation };
+};
+
+// Static method to find a pending invitation by its raw token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to format for API response
+invitationSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    status: this.status,
+    invitedBy: this.invitedBy,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    acceptedUser: this.acceptedUser,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const Notification = require('./Notification');
+const { STATUSES } = require('../config/workflow');
+
+// Most photos an issue can carry
+const MAX_IMAGES = 5;
 
 const issueSchema = new mongoose.Schema({
   title: {
@@ -33,13 +38,54 @@ const issueSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Reported', 'In Progress', 'Resolved', 'Closed'],
+    enum: STATUSES, // Moves between statuses follow config/workflow.js
     default: 'Reported'
   },
   priority: {
     type: String,
     enum: ['Low', 'Medium', 'High', 'Critical'],
-    default: 'Medium'
+    default: 'Medium' // Follows priorityScore unless staff override it
+  },
+  reportedPriority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical', null],
+    default: null // What the reporter suggested; shown to staff but not scored
+  },
+  priorityScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  priorityFactors: {
+    // Points each factor contributed to priorityScore
+    severity: { type: Number, default: 0 },
+    support: { type: Number, default: 0 },
+    age: { type: Number, default: 0 },
+    sensitivePlaces: { type: Number, default: 0 },
+    repeatReports: { type: Number, default: 0 },
+    nearbyPlaces: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SensitivePlace'
+    }]
+  },
+  priorityScoredAt: {
+    type: Date,
+    default: null
+  },
+  isPriorityOverridden: {
+    type: Boolean,
+    default: false
+  },
+  priorityOverriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  priorityOverrideReason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Override reason cannot exceed 500 characters']
   },
   location: {
     type: {
@@ -94,6 +140,23 @@ const issueSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  reopenCount: {
+    type: Number,
+    default: 0 // Times the issue went back to an open status after being resolved
+  },
+  sla: {
+    // Targets from the category's SLA policy when the issue was reported
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy',
+      default: null
+    },
+    responseDueAt: { type: Date, default: null },
+    resolutionDueAt: { type: Date, default: null },
+    respondedAt: { type: Date, default: null }, // First status change, assignment or official comment
+    responseBreached: { type: Boolean, default: false },
+    resolutionBreached: { type: Boolean, default: false }
+  },
   isHidden: {
     type: Boolean,
     default: false
@@ -111,11 +174,50 @@ const issueSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  isAnonymous: {
+    type: Boolean,
+    default: false // createdBy is kept for abuse handling but never shown
+  },
+  revisionCount: {
+    type: Number,
+    default: 0 // Number of edits made since the issue was reported
+  },
+  lastEditedAt: {
+    type: Date,
+    default: null
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null // Canonical issue this duplicate was folded into
+  },
+  mergedAt: {
+    type: Date,
+    default: null
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Vote counters; the votes themselves live in the Vote collection
   upvotes: {
     type: Number,
-    default: 0
+    default: 0,
+    min: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+    min: 0
   },
-  upvotedBy: [{
+  confirmations: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followers: [{
+    // Notified when the issue changes; the reporter and voters follow automatically
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
@@ -147,7 +249,22 @@ issueSchema.index({ status: 1, category: 1 });
 issueSchema.index({ createdBy: 1, status: 1 });
 issueSchema.index({ createdAt: -1 });
 issueSchema.index({ flagCount: -1 });
+issueSchema.index({ priorityScore: -1 });
 issueSchema.index({ isHidden: 1, status: 1 });
+issueSchema.index({ mergedInto: 1 });
+issueSchema.index({ followers: 1 });
+issueSchema.index({ 'sla.responseDueAt': 1, 'sla.respondedAt': 1 });
+issueSchema.index({ 'sla.resolutionDueAt': 1, status: 1 });
+
+// Weighted text index for search; a title match counts for more than one in the description
+issueSchema.index(
+  { title: 'text', tags: 'text', landmark: 'text', address: 'text', description: 'text' },
+  {
+    name: 'issue_text_search',
+    weights: { title: 10, tags: 5, landmark: 3, address: 3, description: 1 },
+    default_language: 'english'
+  }
+);
 
 // Virtual for status logs
 issueSchema.virtual('statusLogs', {
@@ -165,12 +282,30 @@ issueSchema.virtual('flags', {
 
 // Pre-save middleware to validate image limit
 issueSchema.pre('save', function(next) {
-  if (this.images && this.images.length > 5) {
-    return next(new Error('Maximum 5 images allowed per issue'));
+  if (this.images && this.images.length > MAX_IMAGES) {
+    return next(new Error(`Maximum ${MAX_IMAGES} images allowed per issue`));
   }
   next();
 });
 
+// Followers hear about the issue being hidden however it happened: by a moderator,
+// a flag review or auto-hiding
+issueSchema.pre('save', function(next) {
+  this.$locals.wasHidden = !this.isNew && this.isModified('isHidden') && this.isHidden;
+  next();
+});
+
+issueSchema.post('save', async function() {
+  if (this.$locals.wasHidden) {
+    await Notification.notifyFollowers(this, {
+      type: 'issue.hidden',
+      actor: this.hiddenBy,
+      message: `"${this.title}" was hidden by moderators`,
+      details: { reason: this.hiddenReason }
+    });
+  }
+});
+
 // Method to check if issue should be auto-hidden
 issueSchema.methods.checkAutoHide = function() {
   if (this.flagCount >= 5 && !this.isHidden) {
@@ -181,22 +316,77 @@ issueSchema.methods.checkAutoHide = function() {
   return false;
 };
 
-// Method to add upvote
-issueSchema.methods.addUpvote = function(userId) {
-  if (!this.upvotedBy.includes(userId)) {
-    this.upvotedBy.push(userId);
-    this.upvotes += 1;
+// Reporter to show a viewer; anonymous reporters are only shown to themselves
+issueSchema.methods.reporterFor = function(viewer) {
+  if (!this.isAnonymous) return this.createdBy;
+
+  const reporterId = this.createdBy?._id || this.createdBy;
+  return viewer && reporterId.equals(viewer._id) ? this.createdBy : null;
+};
+
+// Check if the reporter may still edit the issue content
+issueSchema.methods.isWithinEditWindow = function() {
+  const windowMinutes = parseInt(process.env.ISSUE_EDIT_WINDOW_MINUTES) || 60;
+  return Date.now() - this.createdAt.getTime() < windowMinutes * 60 * 1000;
+};
+
+// Check if the reporter and followers may still dispute the resolution
+issueSchema.methods.isWithinDisputeWindow = function() {
+  if (!this.actualResolutionDate) return false;
+
+  const windowDays = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 14;
+  return Date.now() - this.actualResolutionDate.getTime() < windowDays * 24 * 60 * 60 * 1000;
+};
+
+// Method to record the first staff response against the SLA; a late response is a breach
+issueSchema.methods.recordSlaResponse = function(at = new Date()) {
+  if (!this.sla?.responseDueAt || this.sla.respondedAt) return false;
+
+  this.sla.respondedAt = at;
+  if (at > this.sla.responseDueAt) {
+    this.sla.responseBreached = true;
+  }
+  return true;
+};
+
+// Method to check a resolution against the SLA; a late resolution is a breach
+issueSchema.methods.recordSlaResolution = function(at = new Date()) {
+  if (this.sla?.resolutionDueAt && at > this.sla.resolutionDueAt) {
+    this.sla.resolutionBreached = true;
+  }
+};
+
+// Method to fold a duplicate's followers and as many photos as fit into this issue (votes move with Vote.moveVotes)
+issueSchema.methods.absorbDuplicate = function(duplicate, mergedBy) {
+  duplicate.followers.forEach(userId => this.addFollower(userId));
+
+  // Photos only fill free slots; the rest stay on the duplicate. Photos an interrupted
+  // merge already copied over are dropped from the duplicate rather than copied again
+  const copied = new Set(this.images.map(image => image.url));
+  duplicate.images = duplicate.images.filter(image => !copied.has(image.url));
+  const moved = duplicate.images.splice(0, Math.max(0, MAX_IMAGES - this.images.length));
+  this.images.push(...moved.map(({ url, publicId, caption }) => ({ url, publicId, caption })));
+
+  duplicate.status = 'Duplicate';
+  duplicate.mergedInto = this._id;
+  duplicate.mergedAt = new Date();
+  duplicate.mergedBy = mergedBy;
+};
+
+// Method to follow the issue
+issueSchema.methods.addFollower = function(userId) {
+  if (!this.followers.includes(userId)) {
+    this.followers.push(userId);
     return true;
   }
   return false;
 };
 
-// Method to remove upvote
-issueSchema.methods.removeUpvote = function(userId) {
-  const index = this.upvotedBy.indexOf(userId);
+// Method to stop following the issue
+issueSchema.methods.removeFollower = function(userId) {
+  const index = this.followers.indexOf(userId);
   if (index > -1) {
-    this.upvotedBy.splice(index, 1);
-    this.upvotes -= 1;
+    this.followers.splice(index, 1);
     return true;
   }
   return false;
@@ -235,4 +425,7 @@ issueSchema.statics.findNearby = function(longitude, latitude, maxDistance = 500
   });
 };
 
-module.exports = mongoose.model('Issue', issueSchema);
\ No newline at end of file
+const Issue = mongoose.model('Issue', issueSchema);
+Issue.MAX_IMAGES = MAX_IMAGES;
+
+module.exports = Issue;
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Issue fields that can be edited after reporting
+const EDITABLE_FIELDS = ['title', 'description', 'address', 'landmark'];
+
+const diffOpSchema = new mongoose.Schema({
+  op: {
+    type: String,
+    enum: ['equal', 'insert', 'delete'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const issueRevisionSchema = new mongoose.Schema({
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: [true, 'Issue ID is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Editor is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false // Edited by the anonymous reporter; editedBy is never exposed
+  },
+  previous: {
+    // The issue content as it was before this edit
+    title: String,
+    description: String,
+    address: String,
+    landmark: String
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: EDITABLE_FIELDS,
+      required: true
+    },
+    diff: [diffOpSchema]
+  }],
+  metadata: {
+    source: {
+      type: String,
+      enum: ['web', 'mobile', 'api'],
+      default: 'web'
+    },
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+issueRevisionSchema.index({ issueId: 1, revision: -1 }, { unique: true });
+issueRevisionSchema.index({ editedBy: 1, createdAt: -1 });
+
+// Static method to get the edit history of an issue, newest first
+issueRevisionSchema.statics.getIssueHistory = function(issueId) {
+  return this.find({ issueId })
+    .populate('editedBy', 'name role')
+    .sort({ revision: -1 });
+};
+
+// Method to format for API response
+issueRevisionSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    revision: this.revision,
+    editedBy: this.isAnonymous ? null : this.editedBy,
+    isAnonymous: this.isAnonymous,
+    reason: this.reason,
+    previous: this.previous,
+    changes: this.changes.map(change => ({
+      field: change.field,
+      diff: change.diff.map(({ op, text }) => ({ op, text }))
+    })),
+    createdAt: this.createdAt
+  };
+};
+
+const IssueRevision = mongoose.model('IssueRevision', issueRevisionSchema);
+IssueRevision.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
+module.exports = IssueRevision;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: [true, 'Email is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'Success',
+      'Unknown User',
+      'Invalid Password',
+      'Invalid Two-Factor Code',
+      'Account Locked',
+      'Account Banned',
+      'Account Inactive',
+      'IP Throttled'
+    ],
+    required: [true, 'Reason is required']
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  metadata: {
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+loginAttemptSchema.index({ 'metadata.ipAddress': 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+// Keep the attempt history for 30 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static method to record an attempt
+loginAttemptSchema.statics.record = function(req, email, options = {}) {
+  const {
+    user = null,
+    success = false,
+    reason,
+    lockedUntil = null
+  } = options;
+
+  return this.create({
+    email,
+    user,
+    success,
+    reason,
+    lockedUntil,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+};
+
+// Attempts turned away before the credentials were checked; counting them would let a
+// throttled IP keep extending its own block
+const UNCHECKED_REASONS = ['IP Throttled', 'Account Locked'];
+
+// Static method to count recent failures from an IP address
+loginAttemptSchema.statics.countRecentFailuresByIp = function(ipAddress, windowMs) {
+  return this.countDocuments({
+    'metadata.ipAddress': ipAddress,
+    success: false,
+    reason: { $nin: UNCHECKED_REASONS },
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'issue.status',
+  'issue.comment',
+  'issue.merged',
+  'issue.hidden'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: [true, 'Issue ID is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system changes such as auto-hiding
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+notificationSchema.index({ issueId: 1 });
+
+// Static method to notify everyone following an issue, except whoever made the change
+notificationSchema.statics.notifyFollowers = async function(issue, options = {}) {
+  const {
+    type,
+    actor = null,
+    message,
+    details = {},
+    issueId = issue._id
+  } = options;
+
+  const actorId = actor?._id || actor;
+  const recipients = (issue.followers || []).filter(userId => !actorId || !userId.equals(actorId));
+  if (recipients.length === 0) return [];
+
+  // A failed notification must not undo the change it reports
+  try {
+    return await this.insertMany(recipients.map(recipient => ({
+      recipient,
+      type,
+      issueId,
+      actor: actorId,
+      message,
+      details
+    })));
+  } catch (error) {
+    console.error('Notify followers error:', error);
+    return [];
+  }
+};
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+// Method to format for API response
+notificationSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    issueId: this.issueId,
+    actor: this.actor,
+    message: this.message,
+    details: this.details,
+    isRead: !!this.readAt,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/secureToken');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  metadata: {
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a new refresh token for a user
+refreshTokenSchema.statics.issue = async function(userId, options = {}) {
+  const {
+    family = crypto.randomUUID(),
+    metadata = {}
+  } = options;
+
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const refreshToken = await new this({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    metadata
+  }).save();
+
+  return { token, refreshToken };
+};
+
+// Static method to find a refresh token by its raw value
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to retire a token for rotation; only one caller can claim a still-active token
+refreshTokenSchema.statics.claimForRotation = function(tokenId) {
+  return this.findOneAndUpdate(
+    { _id: tokenId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'Rotated' } },
+    { new: true }
+  );
+};
+
+// Static method to revoke every token in a rotation family
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'Family revoked') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke all active tokens of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'All sessions revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Check if token is expired
+refreshTokenSchema.methods.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+// Check if token can still be exchanged
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && !this.isExpired();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Entries are only needed until the access token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to add an access token to the revocation list
+revokedTokenSchema.statics.revoke = function(jti, expiresAt, options = {}) {
+  const { user = null, reason = null } = options;
+
+  return this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user, reason, expiresAt } },
+    { upsert: true }
+  );
+};
+
+// Static method to check if an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// The registry before knownPermissions was stored; mappings saved back then knew all of these
+const UNTRACKED_PERMISSIONS = [
+  'issues.create', 'issues.vote', 'issues.flag', 'issues.hidden.view', 'issues.status.update',
+  'issues.moderate', 'issues.delete', 'flags.review', 'users.view', 'users.create',
+  'users.role.update', 'users.ban', 'users.deactivate', 'users.security', 'apiKeys.manage',
+  'analytics.view', 'system.view', 'permissions.manage'
+];
+
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required'],
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  knownPermissions: [{
+    type: String // Registry keys that existed when the mapping was last saved
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Null when seeded from the defaults
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the mapping for every role, falling back to the defaults
+rolePermissionSchema.statics.getMapping = async function() {
+  const stored = await this.find().lean();
+  const mapping = { ...DEFAULT_ROLE_PERMISSIONS };
+
+  stored.forEach(entry => {
+    mapping[entry.role] = entry.permissions;
+  });
+
+  return mapping;
+};
+
+// Static method to store the defaults for new roles and grant newly registered
+// permissions to the roles that hold them by default; permissions an admin
+// removed on purpose stay removed because they are already known
+rolePermissionSchema.statics.seedDefaults = async function() {
+  const registry = Object.keys(PERMISSIONS);
+  const stored = await this.find();
+  let changed = 0;
+
+  for (const [role, defaults] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    const entry = stored.find(item => item.role === role);
+
+    if (!entry) {
+      await this.create({ role, permissions: defaults, knownPermissions: registry });
+      changed += 1;
+      continue;
+    }
+
+    const known = entry.knownPermissions.length > 0 ? entry.knownPermissions : UNTRACKED_PERMISSIONS;
+    const added = registry.filter(permission => !known.includes(permission));
+    if (added.length === 0) continue;
+
+    const granted = added.filter(permission => defaults.includes(permission));
+    entry.permissions = [...new Set([...entry.permissions, ...granted])];
+    entry.knownPermissions = registry;
+    await entry.save();
+    changed += 1;
+  }
+
+  return changed;
+};
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { createWithinRadiusQuery, calculateDistance, metersToKm } = require('../utils/distance');
+
+const PLACE_TYPES = ['School', 'Hospital', 'Clinic', 'Care Home', 'Childcare', 'Other'];
+
+// Largest radius a place may cover; bounds the search for places around an issue
+const MAX_RADIUS_METERS = 2000;
+
+const sensitivePlaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: PLACE_TYPES,
+    required: [true, 'Type is required']
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Location coordinates are required']
+    }
+  },
+  radiusMeters: {
+    type: Number,
+    default: 300, // Issues within this distance raise their priority
+    min: [10, 'Radius must be at least 10 meters'],
+    max: [MAX_RADIUS_METERS, `Radius cannot exceed ${MAX_RADIUS_METERS} meters`]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sensitivePlaceSchema.index({ location: '2dsphere' });
+sensitivePlaceSchema.index({ createdAt: -1 });
+
+// Static method to find the places whose radius covers a point
+sensitivePlaceSchema.statics.findCovering = async function(longitude, latitude) {
+  const places = await this.find(createWithinRadiusQuery(longitude, latitude, metersToKm(MAX_RADIUS_METERS)));
+
+  return places.filter(place => {
+    const [placeLng, placeLat] = place.location.coordinates;
+    return calculateDistance(latitude, longitude, placeLat, placeLng) * 1000 <= place.radiusMeters;
+  });
+};
+
+// Method to format for API response
+sensitivePlaceSchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    type: this.type,
+    location: this.location,
+    radiusMeters: this.radiusMeters,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+const SensitivePlace = mongoose.model('SensitivePlace', sensitivePlaceSchema);
+SensitivePlace.TYPES = PLACE_TYPES;
+SensitivePlace.MAX_RADIUS_METERS = MAX_RADIUS_METERS;
+
+module.exports = SensitivePlace;
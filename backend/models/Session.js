@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const RefreshToken = require('./RefreshToken');
+const { describeDevice } = require('../utils/userAgent');
+
+// Avoid a write on every request; last-seen is accurate to this interval
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  family: {
+    type: String,
+    required: [true, 'Refresh token family is required'],
+    unique: true // One session per refresh token rotation chain
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: String,
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Set when an admin ended the session
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Let MongoDB purge sessions once they could no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a new login
+sessionSchema.statics.start = function(userId, req, options = {}) {
+  const {
+    family = crypto.randomUUID(),
+    expiresAt
+  } = options;
+  const userAgent = req.get('User-Agent');
+
+  return new this({
+    user: userId,
+    family,
+    device: describeDevice(userAgent).label,
+    userAgent,
+    ipAddress: req.ip,
+    lastSeenIp: req.ip,
+    expiresAt
+  }).save();
+};
+
+// Static method to list the sessions a user can still use
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to end the session of a refresh token family
+sessionSchema.statics.revokeFamily = function(family, reason = 'Session revoked', revokedBy = null) {
+  return Promise.all([
+    this.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    ),
+    RefreshToken.revokeFamily(family, reason)
+  ]);
+};
+
+// Static method to end every session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'All sessions revoked', revokedBy = null) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+};
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+// End this session and its refresh tokens
+sessionSchema.methods.revoke = async function(reason = 'Session revoked', revokedBy = null) {
+  await this.constructor.revokeFamily(this.family, reason, revokedBy);
+
+  this.revokedAt = this.revokedAt || new Date();
+  this.revokedReason = this.revokedReason || reason;
+  this.revokedBy = this.revokedBy || revokedBy;
+};
+
+// Record activity without holding up the request
+sessionSchema.methods.touch = function(ipAddress) {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastSeenAt: new Date(), lastSeenIp: ipAddress } }
+  );
+};
+
+// Method to format for API response
+sessionSchema.methods.toAPIResponse = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastSeenAt: this.lastSeenAt,
+    lastSeenIp: this.lastSeenIp,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    revokedReason: this.revokedReason,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString(),
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Issue = require('./Issue');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest target a policy may set: one year
+const MAX_HOURS = 24 * 365;
+
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: Issue.schema.path('category').enumValues,
+    required: [true, 'Category is required'],
+    unique: true
+  },
+  responseHours: {
+    type: Number,
+    required: [true, 'Response time is required'],
+    min: [1, 'Response time must be at least 1 hour'],
+    max: [MAX_HOURS, `Response time cannot exceed ${MAX_HOURS} hours`] // First staff action
+  },
+  resolutionHours: {
+    type: Number,
+    required: [true, 'Resolution time is required'],
+    min: [1, 'Resolution time must be at least 1 hour'],
+    max: [MAX_HOURS, `Resolution time cannot exceed ${MAX_HOURS} hours`]
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// An issue cannot be resolved before anyone has responded to it
+slaPolicySchema.pre('validate', function(next) {
+  if (this.resolutionHours < this.responseHours) {
+    this.invalidate('resolutionHours', 'Resolution time cannot be shorter than response time');
+  }
+  next();
+});
+
+// Static method to work out an issue's SLA due dates from its category's policy
+slaPolicySchema.statics.dueDatesFor = async function(category, from = new Date()) {
+  const policy = await this.findOne({ category });
+  if (!policy) return null;
+
+  return {
+    policy: policy._id,
+    responseDueAt: new Date(from.getTime() + policy.responseHours * HOUR_MS),
+    resolutionDueAt: new Date(from.getTime() + policy.resolutionHours * HOUR_MS)
+  };
+};
+
+// Method to format for API response
+slaPolicySchema.methods.toAPIResponse = function() {
+  return {
+    id: this._id,
+    category: this.category,
+    responseHours: this.responseHours,
+    resolutionHours: this.resolutionHours,
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
+SlaPolicy.MAX_HOURS = MAX_HOURS;
+
+module.exports = SlaPolicy;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STATUSES } = require('../config/workflow');
 
 const statusLogSchema = new mongoose.Schema({
   issueId: {
@@ -9,17 +10,19 @@ const statusLogSchema = new mongoose.Schema({
   status: {
     type: String,
     required: [true, 'Status is required'],
-    enum: ['Reported', 'In Progress', 'Resolved', 'Closed']
+    enum: STATUSES
   },
   previousStatus: {
     type: String,
-    enum: ['Reported', 'In Progress', 'Resolved', 'Closed'],
+    enum: [...STATUSES, null],
     default: null
   },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Updated by user is required']
+    // Checks run by the server itself have no user
+    required: [function() { return !this.isSystemGenerated; }, 'Updated by user is required'],
+    default: null
   },
   comment: {
     type: String,
@@ -32,6 +35,7 @@ const statusLogSchema = new mongoose.Schema({
   },
   attachments: [{
     url: String,
+    publicId: String, // For Cloudinary
     filename: String,
     type: {
       type: String,
@@ -43,6 +47,31 @@ const statusLogSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isAnonymous: {
+    type: Boolean,
+    default: false // Written by the anonymous reporter; updatedBy is never exposed
+  },
+  isDispute: {
+    type: Boolean,
+    default: false // Reopened by the reporter or a follower disputing the resolution
+  },
+  isResolution: {
+    type: Boolean,
+    default: false // The change that resolved the issue
+  },
+  reopenedAt: {
+    type: Date,
+    default: null // Set on a resolution once the issue is reopened
+  },
+  reopenedByDispute: {
+    type: Boolean,
+    default: false
+  },
+  slaBreach: {
+    type: String,
+    enum: ['response', 'resolution', null],
+    default: null // Set on entries recording a missed SLA target
+  },
   metadata: {
     source: {
       type: String,
@@ -63,6 +92,7 @@ statusLogSchema.index({ issueId: 1, createdAt: -1 });
 statusLogSchema.index({ updatedBy: 1 });
 statusLogSchema.index({ status: 1, createdAt: -1 });
 statusLogSchema.index({ createdAt: -1 });
+statusLogSchema.index({ isResolution: 1, createdAt: -1 });
 
 // Virtual to populate issue details
 statusLogSchema.virtual('issue', {
@@ -88,6 +118,10 @@ statusLogSchema.statics.createStatusLog = async function(issueId, status, update
     estimatedResolutionDate = null,
     attachments = [],
     isSystemGenerated = false,
+    isAnonymous = false,
+    isDispute = false,
+    isResolution = false,
+    slaBreach = null,
     metadata = {}
   } = options;
 
@@ -100,12 +134,25 @@ statusLogSchema.statics.createStatusLog = async function(issueId, status, update
     estimatedResolutionDate,
     attachments,
     isSystemGenerated,
+    isAnonymous,
+    isDispute,
+    isResolution,
+    slaBreach,
     metadata
   });
 
   return await statusLog.save();
 };
 
+// Static method to mark an issue's latest resolution as undone when the issue is reopened
+statusLogSchema.statics.markResolutionReopened = function(issueId, { byDispute = false, at = new Date() } = {}) {
+  return this.findOneAndUpdate(
+    { issueId, isResolution: true, reopenedAt: null },
+    { $set: { reopenedAt: at, reopenedByDispute: byDispute } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+};
+
 // Static method to get status timeline for an issue
 statusLogSchema.statics.getIssueTimeline = function(issueId) {
   return this.find({ issueId })
@@ -134,6 +181,10 @@ statusLogSchema.methods.toAPIResponse = function() {
     estimatedResolutionDate: this.estimatedResolutionDate,
     attachments: this.attachments,
     isSystemGenerated: this.isSystemGenerated,
+    isDispute: this.isDispute,
+    isResolution: this.isResolution,
+    reopenedAt: this.reopenedAt,
+    slaBreach: this.slaBreach,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const {
+  generateSecureToken,
+  hashToken,
+  expiresInHours,
+  expiresInMinutes
+} = require('../utils/secureToken');
+const { verifyCode, hashRecoveryCode } = require('../utils/twoFactor');
+const { getLoginProtectionConfig, getLockoutDuration } = require('../utils/loginProtection');
+const { validatePassword } = require('../utils/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,9 +28,24 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    validate: {
+      // Checked on the plain text before the pre-save hook hashes it
+      validator: function(password) {
+        if (!this.isModified('password')) return true;
+
+        const problems = validatePassword(password, { name: this.name, email: this.email });
+        if (problems.length > 0) {
+          throw new Error(problems.join('. '));
+        }
+        return true;
+      }
+    },
     select: false // Don't include password in queries by default
   },
+  mustChangePassword: {
+    type: Boolean,
+    default: false // Set for default or admin-chosen passwords; cleared on change
+  },
   role: {
     type: String,
     enum: ['citizen', 'agent', 'admin'],
@@ -40,6 +64,78 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null // Set when the owner deleted the account; personal data is scrubbed
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null,
+    select: false // Stored hashed, never returned
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false // Stored hashed, never returned
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorRequired: {
+    type: Boolean,
+    default: false // Set by admins to enforce enrollment
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // Hashed, single-use
+    default: [],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null, // Time step of the last accepted TOTP code, so a code works only once
+    select: false
+  },
   isBanned: {
     type: Boolean,
     default: false
@@ -61,6 +157,26 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0 // Consecutive lockouts, used to lengthen each one
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0 // Bumped to invalidate every access token issued before
+  },
   location: {
     type: {
       type: String,
@@ -100,6 +216,10 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.mustChangePassword = false;
+    }
     next();
   } catch (error) {
     next(error);
@@ -117,15 +237,191 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Check if account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Record a failed login, locking the account once the limit is reached. The counters are
+// updated atomically so concurrent failures are all counted and lock the account only once.
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxFailedAttempts } = getLoginProtectionConfig();
+  const counters = 'failedLoginAttempts lastFailedLoginAt lockUntil lockoutCount';
+
+  let updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true, projection: counters }
+  );
+  if (!updated) return;
+
+  if (updated.failedLoginAttempts >= maxFailedAttempts) {
+    const locked = await this.constructor.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: maxFailedAttempts } },
+      {
+        $inc: { lockoutCount: 1 },
+        $set: {
+          lockUntil: new Date(Date.now() + getLockoutDuration(updated.lockoutCount + 1)),
+          failedLoginAttempts: 0
+        }
+      },
+      { new: true, projection: counters }
+    );
+    updated = locked || updated;
+  }
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+  this.lockUntil = updated.lockUntil;
+  this.lockoutCount = updated.lockoutCount;
+};
+
+// Clear failed login counters (successful login or admin unlock)
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  this.lockoutCount = 0;
+};
+
 // Check if user is banned
 userSchema.methods.isBannedUser = function() {
   return this.isBanned;
 };
 
+// Create a new email verification token (returns the raw token to email)
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hash } = generateSecureToken();
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = expiresInHours(ttlHours);
+  return token;
+};
+
+// Mark email as verified and clear the pending token
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = null;
+  this.emailVerificationExpires = null;
+};
+
+// Static method to find a user by a pending, unexpired verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Create a single-use password reset token (returns the raw token to email)
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hash } = generateSecureToken();
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = expiresInMinutes(ttlMinutes);
+  return token;
+};
+
+// Invalidate any pending password reset token
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+};
+
+// Static method to find a user by a pending, unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
+// Verify a TOTP code against the stored secret and use it up (requires +twoFactorSecret).
+// The time step is claimed atomically, so a code cannot be replayed within its window.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  const step = verifyCode(code, this.twoFactorSecret);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Consume a recovery code (requires +twoFactorRecoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const index = this.twoFactorRecoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index > -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+  return false;
+};
+
+// Turn two-factor authentication off and drop its secrets
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = null;
+  this.twoFactorSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = null;
+};
+
+// Check if user still has to enroll in enforced two-factor authentication
+userSchema.methods.needsTwoFactorSetup = function() {
+  return this.twoFactorRequired && !this.twoFactorEnabled;
+};
+
+// Scrub personal data but keep the document so public records still resolve
+userSchema.methods.anonymize = function() {
+  this.name = 'Deleted User';
+  this.email = `deleted-${this._id}@civicflow.invalid`;
+  this.password = generateSecureToken().token; // Unusable random password
+  this.phone = undefined;
+  this.avatar = null;
+  this.location = undefined;
+  this.isActive = false;
+  this.deletedAt = new Date();
+  this.isEmailVerified = false;
+  this.emailVerifiedAt = null;
+  this.emailVerificationToken = null;
+  this.emailVerificationExpires = null;
+  this.clearPasswordResetToken();
+  this.clearTwoFactor();
+  this.twoFactorRequired = false;
+  this.resetFailedLogins();
+  this.lastLogin = null;
+  this.lastFailedLoginAt = null;
+};
+
+// Static method to check whether a user is the only remaining active admin
+userSchema.statics.isLastActiveAdmin = async function(user) {
+  if (user.role !== 'admin' || !user.isActive) return false;
+
+  const otherAdmins = await this.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+    isActive: true,
+    isBanned: false
+  });
+  return otherAdmins === 0;
+};
+
 // Remove sensitive information from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokenVersion;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastUsedStep;
   return userObject;
 };
 
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const VOTE_TYPES = ['up', 'down', 'confirm'];
+
+// Issue counter kept in step with each vote type
+const VOTE_COUNTERS = {
+  up: 'upvotes',
+  down: 'downvotes',
+  confirm: 'confirmations'
+};
+
+const voteSchema = new mongoose.Schema({
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: [true, 'Issue ID is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: VOTE_TYPES, // 'confirm' is a "me too": the voter is affected by the issue as well
+    required: [true, 'Vote type is required']
+  }
+}, {
+  timestamps: true
+});
+
+// One vote per user per issue
+voteSchema.index({ issueId: 1, user: 1 }, { unique: true });
+voteSchema.index({ user: 1, createdAt: -1 });
+voteSchema.index({ issueId: 1, type: 1 });
+
+// Static method to cast or change a vote; issue counters are updated atomically.
+// The update only matches a vote of another type, so each change is counted once
+// even when the same user changes their vote from several requests at a time.
+voteSchema.statics.castVote = async function(issueId, userId, type, retried = false) {
+  const Issue = mongoose.model('Issue');
+
+  const previous = await this.findOneAndUpdate(
+    { issueId, user: userId, type: { $ne: type } },
+    { $set: { type } },
+    { new: false, runValidators: true }
+  );
+  if (previous) {
+    await Issue.updateOne(
+      { _id: issueId },
+      { $inc: { [VOTE_COUNTERS[type]]: 1, [VOTE_COUNTERS[previous.type]]: -1 } }
+    );
+    return true;
+  }
+
+  // No vote of another type: either this is a first vote or it is already cast
+  try {
+    await this.create({ issueId, user: userId, type });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A vote exists; it may have been cast with another type since the update above
+    return retried ? false : this.castVote(issueId, userId, type, true);
+  }
+
+  await Issue.updateOne({ _id: issueId }, { $inc: { [VOTE_COUNTERS[type]]: 1 } });
+  return true;
+};
+
+// Static method to withdraw a user's vote
+voteSchema.statics.removeVote = async function(issueId, userId) {
+  const removed = await this.findOneAndDelete({ issueId, user: userId });
+  if (!removed) return false;
+
+  await mongoose.model('Issue').updateOne(
+    { _id: issueId },
+    { $inc: { [VOTE_COUNTERS[removed.type]]: -1 } }
+  );
+  return true;
+};
+
+// Static method to get a user's vote on one issue
+voteSchema.statics.getUserVote = async function(issueId, userId) {
+  if (!userId) return null;
+
+  const vote = await this.findOne({ issueId, user: userId }).select('type');
+  return vote ? vote.type : null;
+};
+
+// Static method to get a user's votes on several issues, keyed by issue ID
+voteSchema.statics.getUserVotes = async function(issueIds, userId) {
+  if (!userId || issueIds.length === 0) return new Map();
+
+  const votes = await this.find({ issueId: { $in: issueIds }, user: userId }).select('issueId type');
+  return new Map(votes.map(vote => [String(vote.issueId), vote.type]));
+};
+
+// Static method to recount an issue's vote counters from the votes themselves
+voteSchema.statics.recountIssue = async function(issueId) {
+  const counts = await this.aggregate([
+    { $match: { issueId: new mongoose.Types.ObjectId(String(issueId)) } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+
+  const counters = Object.fromEntries(Object.values(VOTE_COUNTERS).map(counter => [counter, 0]));
+  counts.forEach(({ _id, count }) => {
+    counters[VOTE_COUNTERS[_id]] = count;
+  });
+
+  await mongoose.model('Issue').updateOne({ _id: issueId }, { $set: counters });
+  return counters;
+};
+
+// Static method to move votes from merged duplicates to the canonical issue.
+// A user who voted on both keeps their vote on the canonical issue; returns its new counters.
+voteSchema.statics.moveVotes = async function(fromIssueIds, toIssueId) {
+  const voters = new Set((await this.distinct('user', { issueId: toIssueId })).map(String));
+  const votes = await this.find({ issueId: { $in: fromIssueIds } }).sort({ createdAt: 1 });
+
+  const moving = votes.filter(vote => {
+    if (voters.has(String(vote.user))) return false;
+    voters.add(String(vote.user));
+    return true;
+  });
+
+  await this.updateMany({ _id: { $in: moving.map(vote => vote._id) } }, { $set: { issueId: toIssueId } });
+  await this.deleteMany({ issueId: { $in: fromIssueIds } });
+
+  const [counters] = await Promise.all([toIssueId, ...fromIssueIds].map(issueId => this.recountIssue(issueId)));
+  return counters;
+};
+
+const Vote = mongoose.model('Vote', voteSchema);
+Vote.TYPES = VOTE_TYPES;
+Vote.COUNTERS = VOTE_COUNTERS;
+
+module.exports = Vote;
@@ -3,7 +3,12 @@ const { body, param } = require('express-validator');
 const router = express.Router();
 
 const adminController = require('../controllers/adminController');
-const { requireAdmin } = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const SensitivePlace = require('../models/SensitivePlace');
+const SlaPolicy = require('../models/SlaPolicy');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { ROLES, isKnownPermission } = require('../config/permissions');
+const { passwordPolicyRule } = require('../utils/passwordPolicy');
 
 // Validation rules
 const banUserValidation = [
@@ -31,6 +36,8 @@ const reviewFlagValidation = [
       'No Action',
       'Issue Hidden',
       'Issue Deleted',
+      'Comment Hidden',
+      'Comment Deleted',
       'User Warned',
       'User Banned',
       'Content Modified',
@@ -50,31 +57,280 @@ const toggleVisibilityValidation = [
     .withMessage('Hidden reason must be between 1 and 500 characters')
 ];
 
+const twoFactorPolicyValidation = [
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean'),
+  body('reset')
+    .optional()
+    .isBoolean()
+    .withMessage('reset must be a boolean')
+];
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('rateLimit.maxRequests')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('rateLimit.maxRequests must be a positive integer'),
+  body('rateLimit.windowMs')
+    .optional()
+    .isInt({ min: 1000 })
+    .withMessage('rateLimit.windowMs must be at least 1000'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+];
+
+const createUserValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  passwordPolicyRule('password'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('role')
+    .optional()
+    .isIn(['citizen', 'agent', 'admin'])
+    .withMessage('Invalid role')
+];
+
+const updateRoleValidation = [
+  body('role')
+    .isIn(['citizen', 'agent', 'admin'])
+    .withMessage('Invalid role')
+];
+
+const createInvitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('role')
+    .isIn(['agent', 'admin'])
+    .withMessage('Invitations are for agent or admin accounts')
+];
+
+const rolePermissionsValidation = [
+  param('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('permissions')
+    .isArray()
+    .withMessage('permissions must be an array'),
+  body('permissions.*')
+    .custom(isKnownPermission)
+    .withMessage('Unknown permission')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const impersonationValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+];
+
+const revealReporterValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+];
+
+const createPlaceValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters'),
+  body('type')
+    .isIn(SensitivePlace.TYPES)
+    .withMessage(`Type must be one of: ${SensitivePlace.TYPES.join(', ')}`),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('radiusMeters')
+    .optional()
+    .isInt({ min: 10, max: SensitivePlace.MAX_RADIUS_METERS })
+    .withMessage(`radiusMeters must be between 10 and ${SensitivePlace.MAX_RADIUS_METERS}`)
+];
+
+const slaCategoryValidation = [
+  param('category')
+    .isIn(SlaPolicy.schema.path('category').enumValues)
+    .withMessage('Invalid category')
+];
+
+const slaPolicyValidation = [
+  ...slaCategoryValidation,
+  body('responseHours')
+    .isFloat({ min: 1, max: SlaPolicy.MAX_HOURS })
+    .withMessage(`responseHours must be between 1 and ${SlaPolicy.MAX_HOURS}`),
+  body('resolutionHours')
+    .isFloat({ min: 1, max: SlaPolicy.MAX_HOURS })
+    .withMessage(`resolutionHours must be between 1 and ${SlaPolicy.MAX_HOURS}`)
+];
+
 const mongoIdValidation = [
   param('id')
     .isMongoId()
     .withMessage('Invalid ID')
 ];
 
-// All admin routes require admin authentication
-router.use(requireAdmin);
+// Every admin route requires authentication; each route checks its own permission
+router.use(authenticate);
 
 // Analytics and reporting
-router.get('/analytics', adminController.getAnalytics);
-router.get('/health', adminController.getSystemHealth);
-router.get('/activity', adminController.getActivityLogs);
+router.get('/analytics', requirePermission('analytics.view'), adminController.getAnalytics);
+router.get('/health', requirePermission('system.view'), adminController.getSystemHealth);
+router.get('/activity', requirePermission('system.view'), adminController.getActivityLogs);
+router.get('/login-attempts', requirePermission('users.security'), adminController.getLoginAttempts);
 
 // User management
-router.get('/users', adminController.getUsers);
+router.get('/users', requirePermission('users.view'), adminController.getUsers);
+router.post('/users',
+  requirePermission('users.create'),
+  createUserValidation,
+  adminController.createUser
+);
+router.put('/users/:id/role',
+  requirePermission('users.role.update'),
+  mongoIdValidation,
+  updateRoleValidation,
+  adminController.updateUserRole
+);
+router.put('/users/:id/deactivate',
+  requirePermission('users.deactivate'),
+  mongoIdValidation,
+  adminController.deactivateUser
+);
+router.put('/users/:id/reactivate',
+  requirePermission('users.deactivate'),
+  mongoIdValidation,
+  adminController.reactivateUser
+);
 router.put('/users/:id/ban', 
+  requirePermission('users.ban'),
   mongoIdValidation,
   banUserValidation,
   adminController.banUser
 );
 
+router.get('/users/:id/sessions',
+  requirePermission('users.security'),
+  mongoIdValidation,
+  adminController.getUserSessions
+);
+router.delete('/users/:id/sessions',
+  requirePermission('users.security'),
+  mongoIdValidation,
+  adminController.revokeUserSessionsByAdmin
+);
+router.delete('/users/:id/sessions/:sessionId',
+  requirePermission('users.security'),
+  mongoIdValidation,
+  sessionIdValidation,
+  adminController.revokeUserSessionsByAdmin
+);
+// View as user
+router.post('/users/:id/impersonate',
+  requirePermission('users.impersonate'),
+  mongoIdValidation,
+  impersonationValidation,
+  adminController.startImpersonation
+);
+router.get('/impersonations', requirePermission('users.impersonate'), adminController.getImpersonations);
+router.delete('/impersonations/:id',
+  requirePermission('users.impersonate'),
+  mongoIdValidation,
+  adminController.stopImpersonation
+);
+router.get('/audit-logs', requirePermission('audit.view'), adminController.getAuditLogs);
+
+router.put('/users/:id/unlock',
+  requirePermission('users.security'),
+  mongoIdValidation,
+  adminController.unlockUser
+);
+router.put('/users/:id/two-factor',
+  requirePermission('users.security'),
+  mongoIdValidation,
+  twoFactorPolicyValidation,
+  adminController.updateUserTwoFactor
+);
+
+// Staff invitations
+router.get('/invitations', requirePermission('users.create'), adminController.getInvitations);
+router.post('/invitations',
+  requirePermission('users.create'),
+  createInvitationValidation,
+  adminController.createInvitation
+);
+router.delete('/invitations/:id',
+  requirePermission('users.create'),
+  mongoIdValidation,
+  adminController.revokeInvitation
+);
+
+// API keys for machine clients
+router.get('/api-keys', requirePermission('apiKeys.manage'), adminController.getApiKeys);
+router.post('/api-keys',
+  requirePermission('apiKeys.manage'),
+  createApiKeyValidation,
+  adminController.createApiKey
+);
+router.delete('/api-keys/:id',
+  requirePermission('apiKeys.manage'),
+  mongoIdValidation,
+  adminController.revokeApiKey
+);
+
+// Role permissions
+router.get('/permissions', requirePermission('permissions.manage'), adminController.getRolePermissions);
+router.put('/permissions/:role',
+  requirePermission('permissions.manage'),
+  rolePermissionsValidation,
+  adminController.updateRolePermissions
+);
+
 // Flag management
-router.get('/flags', adminController.getFlags);
+router.get('/flags', requirePermission('flags.review'), adminController.getFlags);
 router.put('/flags/:id/review', 
+  requirePermission('flags.review'),
   mongoIdValidation,
   reviewFlagValidation,
   adminController.reviewFlag
@@ -82,9 +338,43 @@ router.put('/flags/:id/review',
 
 // Issue moderation
 router.put('/issues/:id/visibility', 
+  requirePermission('issues.moderate'),
   mongoIdValidation,
   toggleVisibilityValidation,
   adminController.toggleIssueVisibility
 );
 
-module.exports = router;
\ No newline at end of file
+router.post('/issues/:id/reporter',
+  requirePermission('issues.reporter.reveal'),
+  mongoIdValidation,
+  revealReporterValidation,
+  adminController.revealIssueReporter
+);
+
+// Places that raise the priority of nearby issues
+router.get('/places', requirePermission('places.manage'), adminController.getSensitivePlaces);
+router.post('/places',
+  requirePermission('places.manage'),
+  createPlaceValidation,
+  adminController.createSensitivePlace
+);
+router.delete('/places/:id',
+  requirePermission('places.manage'),
+  mongoIdValidation,
+  adminController.deleteSensitivePlace
+);
+
+// Response and resolution targets per category
+router.get('/sla-policies', requirePermission('sla.manage'), adminController.getSlaPolicies);
+router.put('/sla-policies/:category',
+  requirePermission('sla.manage'),
+  slaPolicyValidation,
+  adminController.updateSlaPolicy
+);
+router.delete('/sla-policies/:category',
+  requirePermission('sla.manage'),
+  slaCategoryValidation,
+  adminController.deleteSlaPolicy
+);
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query, oneOf } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { handleAvatarUpload, processUploadedAvatar } = require('../middleware/upload');
+const { passwordPolicyRule } = require('../utils/passwordPolicy');
 
 // Validation rules
 const registerValidation = [
@@ -16,17 +18,15 @@ const registerValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  passwordPolicyRule('password'),
   body('phone')
     .optional()
     .isMobilePhone()
     .withMessage('Please provide a valid phone number'),
   body('role')
     .optional()
-    .isIn(['citizen', 'agent', 'admin'])
-    .withMessage('Invalid role'),
+    .isIn(['citizen'])
+    .withMessage('Only citizen accounts can self-register'),
   body('longitude')
     .optional()
     .isFloat({ min: -180, max: 180 })
@@ -37,6 +37,23 @@ const registerValidation = [
     .withMessage('Latitude must be between -90 and 90')
 ];
 
+const acceptInvitationValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  passwordPolicyRule('password'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number')
+];
+
 const loginValidation = [
   body('email')
     .isEmail()
@@ -71,17 +88,128 @@ const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+  passwordPolicyRule('newPassword', req => req.user)
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const logoutValidation = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+  body('allDevices')
+    .optional()
+    .isBoolean()
+    .withMessage('allDevices must be a boolean')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
 ];
 
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  // The account is only known once the token is looked up; the User schema checks name/email then
+  passwordPolicyRule('newPassword', () => ({}))
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  oneOf([
+    body('code').isString().notEmpty(),
+    body('recoveryCode').isString().notEmpty()
+  ], { message: 'A two-factor code or recovery code is required' })
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip')
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits')
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+// Limit reset emails per address (in addition to the global per-IP limit)
+const forgotPasswordLimiter = rateLimit({
+  windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 3,
+  keyGenerator: (req) => (req.body.email || req.ip).toString().toLowerCase().trim(),
+  message: {
+    success: false,
+    message: 'Too many password reset requests for this email, please try again later.',
+    statusCode: 429,
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Public routes
 router.post('/register', registerValidation, authController.register);
+router.post('/accept-invitation', acceptInvitationValidation, authController.acceptInvitation);
 router.post('/login', loginValidation, authController.login);
+router.post('/login/2fa', twoFactorLoginValidation, authController.loginTwoFactor);
+router.post('/refresh', refreshTokenValidation, authController.refreshToken);
+router.post('/verify-email', verifyEmailValidation, authController.verifyEmail);
+router.post('/forgot-password', forgotPasswordLimiter, forgotPasswordValidation, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
 
 // Protected routes
 router.get('/me', authenticate, authController.getProfile);
+router.get('/me/export', authenticate, exportValidation, authController.exportPersonalData);
+router.delete('/me', authenticate, deleteAccountValidation, authController.deleteAccount);
+router.post('/resend-verification', authenticate, authController.resendVerification);
 
 router.put('/profile', 
   authenticate, 
@@ -97,9 +225,19 @@ router.put('/change-password',
   authController.changePassword
 );
 
-router.post('/logout', authenticate, authController.logout);
+router.post('/logout', authenticate, logoutValidation, authController.logout);
+
+// Sessions and devices
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, sessionIdValidation, authController.revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+router.post('/2fa/enable', authenticate, twoFactorCodeValidation, authController.enableTwoFactor);
+router.post('/2fa/disable', authenticate, disableTwoFactorValidation, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, twoFactorCodeValidation, authController.regenerateRecoveryCodes);
 
-// Admin only routes
-router.get('/users/:id', requireAdmin, authController.getUserById);
+// Staff routes
+router.get('/users/:id', authenticate, requirePermission('users.view'), authController.getUserById);
 
 module.exports = router;
\ No newline at end of file
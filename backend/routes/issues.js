@@ -3,16 +3,22 @@ const { body, param } = require('express-validator');
 const router = express.Router();
 
 const issueController = require('../controllers/issueController');
+const commentController = require('../controllers/commentController');
 const { 
   authenticate, 
   optionalAuthenticate, 
-  requireAgent, 
-  requireAdmin 
+  allowApiKey, 
+  requirePermission, 
+  loadResource,
+  requireOwnershipOrPermission,
+  requireVerifiedEmail 
 } = require('../middleware/auth');
 const { 
   handleIssueImageUpload, 
+  handleDisputePhotoUpload,
   processUploadedImages 
 } = require('../middleware/upload');
+const { STATUSES } = require('../config/workflow');
 
 // Validation rules
 const createIssueValidation = [
@@ -68,12 +74,54 @@ const createIssueValidation = [
     .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Each tag must be between 1 and 50 characters')
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  body('duplicateOf')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid issue ID'),
+  body('ignoreDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreDuplicates must be a boolean'),
+  body('isAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('isAnonymous must be a boolean')
+];
+
+const updateIssueValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+  body('address')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters'),
+  body('landmark')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Landmark cannot exceed 200 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
 ];
 
 const updateStatusValidation = [
   body('status')
-    .isIn(['Reported', 'In Progress', 'Resolved', 'Closed'])
+    .isIn(STATUSES)
     .withMessage('Invalid status'),
   body('comment')
     .optional()
@@ -90,10 +138,38 @@ const updateStatusValidation = [
     .withMessage('Invalid user ID')
 ];
 
+const disputeValidation = [
+  body('comment')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Describe what is still wrong in 10 to 1000 characters')
+];
+
+const updatePriorityValidation = [
+  body('priority')
+    .optional({ nullable: true })
+    .isIn(['Low', 'Medium', 'High', 'Critical'])
+    .withMessage('Invalid priority'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const mergeValidation = [
+  body('issueIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('issueIds must be an array of 1 to 20 issue IDs'),
+  body('issueIds.*')
+    .isMongoId()
+    .withMessage('Invalid issue ID')
+];
+
 const voteValidation = [
   body('action')
-    .isIn(['upvote', 'remove'])
-    .withMessage('Action must be either "upvote" or "remove"')
+    .isIn(['upvote', 'downvote', 'confirm', 'remove'])
+    .withMessage('Action must be one of "upvote", "downvote", "confirm" or "remove"')
 ];
 
 const flagValidation = [
@@ -122,14 +198,42 @@ const mongoIdValidation = [
     .withMessage('Invalid issue ID')
 ];
 
+const commentIdValidation = [
+  ...mongoIdValidation,
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const commentBodyValidation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters')
+];
+
+const createCommentValidation = [
+  ...commentBodyValidation,
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+];
+
 // Public routes (with optional authentication)
-router.get('/', optionalAuthenticate, issueController.getIssues);
-router.get('/:id', mongoIdValidation, optionalAuthenticate, issueController.getIssueById);
-router.get('/:id/status-log', mongoIdValidation, optionalAuthenticate, issueController.getIssueStatusLog);
+router.get('/', allowApiKey('issues:read'), optionalAuthenticate, issueController.getIssues);
+router.get('/workflow', allowApiKey('issues:read'), optionalAuthenticate, issueController.getWorkflow);
+router.get('/:id', mongoIdValidation, allowApiKey('issues:read'), optionalAuthenticate, issueController.getIssueById);
+router.get('/:id/status-log', mongoIdValidation, allowApiKey('issues:read'), optionalAuthenticate, issueController.getIssueStatusLog);
+router.get('/:id/revisions', mongoIdValidation, allowApiKey('issues:read'), optionalAuthenticate, issueController.getIssueRevisions);
+router.get('/:id/comments', mongoIdValidation, allowApiKey('issues:read'), optionalAuthenticate, commentController.getComments);
 
 // Protected routes (require authentication)
 router.post('/', 
+  allowApiKey('issues:create'),
   authenticate,
+  requirePermission('issues.create'),
+  requireVerifiedEmail,
   handleIssueImageUpload,
   processUploadedImages,
   createIssueValidation,
@@ -139,29 +243,116 @@ router.post('/',
 router.post('/:id/vote', 
   mongoIdValidation,
   authenticate,
+  requirePermission('issues.vote'),
   voteValidation,
   issueController.voteIssue
 );
 
+router.post('/:id/dispute',
+  mongoIdValidation,
+  authenticate,
+  requirePermission('issues.dispute'),
+  requireVerifiedEmail,
+  handleDisputePhotoUpload,
+  processUploadedImages,
+  disputeValidation,
+  issueController.disputeIssue
+);
+
+router.post('/:id/follow',
+  mongoIdValidation,
+  authenticate,
+  issueController.followIssue
+);
+
+router.delete('/:id/follow',
+  mongoIdValidation,
+  authenticate,
+  issueController.unfollowIssue
+);
+
 router.post('/:id/flag', 
   mongoIdValidation,
   authenticate,
+  requirePermission('issues.flag'),
+  requireVerifiedEmail,
   flagValidation,
   issueController.flagIssue
 );
 
-// Agent/Admin routes
+router.put('/:id', 
+  mongoIdValidation,
+  authenticate,
+  loadResource('Issue'),
+  requireOwnershipOrPermission('issues.edit'),
+  updateIssueValidation,
+  issueController.updateIssue
+);
+
+// Comment routes
+router.post('/:id/comments', 
+  mongoIdValidation,
+  authenticate,
+  requirePermission('comments.create'),
+  requireVerifiedEmail,
+  createCommentValidation,
+  commentController.createComment
+);
+
+router.put('/:id/comments/:commentId', 
+  commentIdValidation,
+  authenticate,
+  requirePermission('comments.create'),
+  commentBodyValidation,
+  commentController.updateComment
+);
+
+router.delete('/:id/comments/:commentId', 
+  commentIdValidation,
+  authenticate,
+  requirePermission('comments.create'),
+  commentController.deleteComment
+);
+
+router.post('/:id/comments/:commentId/flag', 
+  commentIdValidation,
+  authenticate,
+  requirePermission('issues.flag'),
+  requireVerifiedEmail,
+  flagValidation,
+  commentController.flagComment
+);
+
+// Staff routes
 router.put('/:id/status', 
   mongoIdValidation,
-  requireAgent,
+  allowApiKey('issues:status'),
+  authenticate,
+  requirePermission('issues.status.update'),
   updateStatusValidation,
   issueController.updateIssueStatus
 );
 
-// Admin only routes
+router.put('/:id/priority',
+  mongoIdValidation,
+  authenticate,
+  requirePermission('issues.priority.override'),
+  updatePriorityValidation,
+  issueController.updateIssuePriority
+);
+
+router.post('/:id/merge', 
+  mongoIdValidation,
+  authenticate,
+  requirePermission('issues.merge'),
+  mergeValidation,
+  issueController.mergeIssues
+);
+
 router.delete('/:id', 
   mongoIdValidation,
-  requireAdmin,
+  authenticate,
+  requirePermission('issues.delete'),
   issueController.deleteIssue
 );
 
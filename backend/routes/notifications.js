@@ -0,0 +1,23 @@
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+
+// Validation rules
+const mongoIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+// Notifications always belong to the signed-in user
+router.use(authenticate);
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.put('/read-all', notificationController.markAllNotificationsRead);
+router.put('/:id/read', mongoIdValidation, notificationController.markNotificationRead);
+
+module.exports = router;
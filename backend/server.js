@@ -8,16 +8,20 @@ const path = require('path');
 require('dotenv').config();
 
 // Import database configuration
-const { connectDatabase, createIndexes, seedAdminUser } = require('./config/database');
+const { connectDatabase, createIndexes, seedAdminUser, seedRolePermissions } = require('./config/database');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const issueRoutes = require('./routes/issues');
+const notificationRoutes = require('./routes/notifications');
 const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const { handleUploadError } = require('./middleware/upload');
 const { sendError, serverErrorResponse, sendResponse } = require('./utils/apiResponse');
+const { recalculateOpenPriorities } = require('./utils/priority');
+const { checkSlaBreaches } = require('./utils/sla');
+const Impersonation = require('./models/Impersonation');
 
 // Create Express app
 const app = express();
@@ -130,6 +134,7 @@ app.get('/health', async (req, res) => {
 // API routes
 app.use('/auth', authRoutes);
 app.use('/issues', issueRoutes);
+app.use('/notifications', notificationRoutes);
 app.use('/admin', adminRoutes);
 
 // API documentation endpoint
@@ -141,42 +146,124 @@ app.get('/api-docs', (req, res) => {
     endpoints: {
       authentication: {
         'POST /auth/register': 'Register a new user',
+        'POST /auth/accept-invitation': 'Create a staff account from an invitation',
         'POST /auth/login': 'Login user',
+        'POST /auth/login/2fa': 'Complete login with a two-factor or recovery code',
+        'POST /auth/verify-email': 'Verify email address with emailed token',
+        'POST /auth/resend-verification': 'Resend the verification email',
         'GET /auth/me': 'Get current user profile',
+        'GET /auth/me/export': 'Download personal data as JSON or ZIP',
+        'DELETE /auth/me': 'Delete own account and anonymize reports',
         'PUT /auth/profile': 'Update user profile',
         'PUT /auth/change-password': 'Change user password',
-        'POST /auth/logout': 'Logout user'
+        'POST /auth/forgot-password': 'Request a password reset email',
+        'POST /auth/reset-password': 'Reset password with emailed token',
+        'POST /auth/refresh': 'Exchange a refresh token for a new token pair',
+        'POST /auth/logout': 'Logout user and revoke tokens',
+        'GET /auth/sessions': 'List devices the user is signed in on',
+        'DELETE /auth/sessions/:id': 'Sign out one session',
+        'POST /auth/2fa/setup': 'Start two-factor enrollment',
+        'POST /auth/2fa/enable': 'Confirm two-factor enrollment',
+        'POST /auth/2fa/disable': 'Disable two-factor authentication',
+        'POST /auth/2fa/recovery-codes': 'Regenerate two-factor recovery codes'
       },
       issues: {
         'GET /issues': 'Get all issues with filtering',
         'POST /issues': 'Create a new issue',
+        'GET /issues/workflow': 'Get issue statuses and allowed transitions',
         'GET /issues/:id': 'Get issue by ID',
-        'PUT /issues/:id/status': 'Update issue status (agent/admin)',
+        'PUT /issues/:id': 'Edit issue content (reporter within the edit window, staff any time)',
+        'GET /issues/:id/revisions': 'Get issue edit history',
+        'PUT /issues/:id/status': 'Update issue status along the workflow (agent/admin)',
+        'PUT /issues/:id/priority': 'Override or clear the computed priority (agent/admin)',
+        'POST /issues/:id/merge': 'Merge duplicate issues into this one (agent/admin)',
         'DELETE /issues/:id': 'Delete issue (admin only)',
-        'POST /issues/:id/vote': 'Vote on an issue',
+        'POST /issues/:id/vote': 'Upvote, downvote or confirm ("me too") an issue',
+        'POST /issues/:id/dispute': 'Dispute a resolution and reopen the issue (reporter/followers)',
+        'POST /issues/:id/follow': 'Follow an issue',
+        'DELETE /issues/:id/follow': 'Stop following an issue',
         'POST /issues/:id/flag': 'Flag an issue',
-        'GET /issues/:id/status-log': 'Get issue status timeline'
+        'GET /issues/:id/status-log': 'Get issue status timeline',
+        'GET /issues/:id/comments': 'Get comment threads',
+        'POST /issues/:id/comments': 'Post a comment or reply',
+        'PUT /issues/:id/comments/:commentId': 'Edit own comment within the edit window',
+        'DELETE /issues/:id/comments/:commentId': 'Delete a comment',
+        'POST /issues/:id/comments/:commentId/flag': 'Flag a comment'
+      },
+      notifications: {
+        'GET /notifications': 'Get your notifications',
+        'GET /notifications/unread-count': 'Count unread notifications',
+        'PUT /notifications/:id/read': 'Mark a notification as read',
+        'PUT /notifications/read-all': 'Mark all notifications as read'
       },
       admin: {
         'GET /admin/analytics': 'Get dashboard analytics',
         'GET /admin/users': 'Get all users',
+        'POST /admin/users': 'Create a user account',
+        'PUT /admin/users/:id/role': 'Change a user role',
+        'PUT /admin/users/:id/deactivate': 'Deactivate a user',
+        'PUT /admin/users/:id/reactivate': 'Reactivate a user',
+        'GET /admin/invitations': 'List staff invitations',
+        'POST /admin/invitations': 'Invite an agent or admin',
+        'DELETE /admin/invitations/:id': 'Revoke an invitation',
         'PUT /admin/users/:id/ban': 'Ban/unban a user',
+        'PUT /admin/users/:id/unlock': 'Lift a login lockout',
+        'POST /admin/users/:id/impersonate': 'View the app as a user with a read-only token',
+        'GET /admin/impersonations': 'List impersonations',
+        'DELETE /admin/impersonations/:id': 'End an impersonation',
+        'GET /admin/audit-logs': 'Get the audit log',
+        'GET /admin/users/:id/sessions': 'List a user\'s active sessions',
+        'DELETE /admin/users/:id/sessions': 'Force-logout a user from every device',
+        'DELETE /admin/users/:id/sessions/:sessionId': 'Force-logout one session',
+        'GET /admin/login-attempts': 'Get recorded login attempts',
+        'GET /admin/api-keys': 'List API keys',
+        'POST /admin/api-keys': 'Issue a scoped API key',
+        'DELETE /admin/api-keys/:id': 'Revoke an API key',
+        'GET /admin/permissions': 'Get the permission registry and role mapping',
+        'PUT /admin/permissions/:role': 'Replace the permissions granted to a role',
+        'PUT /admin/users/:id/two-factor': 'Enforce or reset two-factor authentication',
         'GET /admin/flags': 'Get all flags',
         'PUT /admin/flags/:id/review': 'Review a flag',
         'PUT /admin/issues/:id/visibility': 'Hide/show an issue',
+        'POST /admin/issues/:id/reporter': 'Reveal the reporter of an anonymous issue (audited)',
+        'GET /admin/places': 'List places that raise nearby issue priority',
+        'POST /admin/places': 'Add a school, hospital or other sensitive place',
+        'DELETE /admin/places/:id': 'Remove a sensitive place',
+        'GET /admin/sla-policies': 'List SLA policies per category',
+        'PUT /admin/sla-policies/:category': 'Set a category\'s response and resolution targets',
+        'DELETE /admin/sla-policies/:category': 'Remove a category\'s SLA policy',
         'GET /admin/health': 'Get system health',
         'GET /admin/activity': 'Get activity logs'
       }
     },
     features: [
-      'JWT Authentication',
-      'Role-based Authorization (citizen, agent, admin)',
+      'JWT Authentication with Rotating Refresh Tokens',
+      'Active Session and Device Management',
+      'Audited Read-only Admin Impersonation',
+      'Scoped API Keys for Machine Clients',
+      'Permission-based Authorization with Editable Role Mappings',
+      'Staff Invitations and Role Management',
+      'Email Verification',
+      'Personal Data Export and Account Deletion',
+      'TOTP Two-Factor Authentication',
       'Geospatial Issue Filtering',
+      'Relevance-ranked Full-text Search',
+      'Anonymous Reporting with Audited Reveal',
+      'Duplicate Report Detection and Merging',
       'Image Upload Support',
       'Issue Status Tracking',
+      'Issue Workflow with Role-based Transitions',
+      'Resolution Disputes and Reopen Rates',
+      'Automatic Issue Priority Scoring',
+      'Per-category SLAs with Breach Detection',
+      'Issue Following and Notifications',
+      'Issue Edit History with Diffs',
       'Flagging System',
+      'Threaded Issue Comments with Official Replies',
       'Admin Analytics Dashboard',
       'Rate Limiting',
+      'Login Brute-Force Protection and Account Lockout',
+      'Password Policy with Breached-Password Check',
       'Input Validation',
       'Error Handling'
     ]
@@ -265,6 +352,28 @@ app.use((err, req, res, next) => {
 // Start server
 const PORT = process.env.PORT || 5000;
 
+// Run a background job now and every intervalMinutes (0 disables it); a run is
+// skipped while the previous one is still going
+const scheduleJob = (name, intervalMinutes, job) => {
+  if (!(intervalMinutes > 0)) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`❌ ${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000).unref();
+};
+
 const startServer = async () => {
   try {
     // Connect to database
@@ -273,8 +382,31 @@ const startServer = async () => {
     // Create indexes
     await createIndexes();
     
-    // Seed admin user
+    // Seed admin user and default role permissions
     await seedAdminUser();
+    await seedRolePermissions();
+
+    // Rescore open issues now and then so their age keeps counting toward priority
+    scheduleJob('Priority recalculation', parseInt(process.env.PRIORITY_RECALC_INTERVAL_MINUTES ?? '60'), async () => {
+      const count = await recalculateOpenPriorities();
+      console.log(`🔢 Priority recalculated for ${count} open issue(s)`);
+    });
+
+    // Flag issues that missed their SLA targets
+    scheduleJob('SLA check', parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES ?? '5'), async () => {
+      const { response, resolution } = await checkSlaBreaches();
+      if (response + resolution > 0) {
+        console.log(`⏰ SLA breaches: ${response} response, ${resolution} resolution`);
+      }
+    });
+
+    // Impersonations that ran out of time without their token being used again
+    scheduleJob('Impersonation cleanup', parseInt(process.env.IMPERSONATION_CLEANUP_INTERVAL_MINUTES ?? '5'), async () => {
+      const count = await Impersonation.closeAllExpired();
+      if (count > 0) {
+        console.log(`🕵️ ${count} expired impersonation(s) closed`);
+      }
+    });
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -46,6 +46,10 @@ function errorResponse(message = 'Internal Server Error', statusCode = 500, erro
  * @returns {Object} Formatted paginated response
  */
 function paginatedResponse(data, page, limit, total, message = 'Success') {
+  // Query string values arrive as strings
+  page = parseInt(page);
+  limit = parseInt(limit);
+
   const totalPages = Math.ceil(total / limit);
   const hasNextPage = page < totalPages;
   const hasPrevPage = page > 1;
@@ -55,8 +59,8 @@ function paginatedResponse(data, page, limit, total, message = 'Success') {
     message,
     data,
     pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
+      page,
+      limit,
       total,
       totalPages,
       hasNextPage,
@@ -69,6 +73,29 @@ function paginatedResponse(data, page, limit, total, message = 'Success') {
   };
 }
 
+/**
+ * Cursor paginated response format
+ * @param {Array} data - Response data array
+ * @param {Object} page - { limit, nextCursor, total }; total is null when it was not counted
+ * @param {string} message - Success message
+ * @returns {Object} Formatted paginated response
+ */
+function cursorPaginatedResponse(data, { limit, nextCursor, total = null }, message = 'Success') {
+  return {
+    success: true,
+    message,
+    data,
+    pagination: {
+      limit,
+      total,
+      hasNextPage: !!nextCursor,
+      nextCursor
+    },
+    statusCode: 200,
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * Validation error response
  * @param {Array|Object} validationErrors - Array of validation errors
@@ -222,10 +249,23 @@ function sendPaginated(res, data, page, limit, total, message = 'Success') {
   return sendResponse(res, response);
 }
 
+/**
+ * Create cursor paginated response and send it
+ * @param {Object} res - Express response object
+ * @param {Array} data - Response data array
+ * @param {Object} page - { limit, nextCursor, total }
+ * @param {string} message - Success message
+ */
+function sendCursorPaginated(res, data, page, message = 'Success') {
+  const response = cursorPaginatedResponse(data, page, message);
+  return sendResponse(res, response);
+}
+
 module.exports = {
   successResponse,
   errorResponse,
   paginatedResponse,
+  cursorPaginatedResponse,
   validationErrorResponse,
   authErrorResponse,
   authorizationErrorResponse,
@@ -236,5 +276,6 @@ module.exports = {
   sendResponse,
   sendSuccess,
   sendError,
-  sendPaginated
+  sendPaginated,
+  sendCursorPaginated
 };
\ No newline at end of file
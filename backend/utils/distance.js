@@ -74,6 +74,26 @@ function createNearbyQuery(longitude, latitude, maxDistanceKm) {
   };
 }
 
+/**
+ * Create a MongoDB geospatial query for points within a radius, without sorting by distance.
+ * Unlike $near it can be combined with $text and used when counting.
+ * @param {number} longitude - Center longitude
+ * @param {number} latitude - Center latitude
+ * @param {number} maxDistanceKm - Maximum distance in kilometers
+ * @returns {Object} MongoDB geospatial query
+ */
+function createWithinRadiusQuery(longitude, latitude, maxDistanceKm) {
+  const EARTH_RADIUS_KM = 6371;
+
+  return {
+    location: {
+      $geoWithin: {
+        $centerSphere: [[longitude, latitude], maxDistanceKm / EARTH_RADIUS_KM]
+      }
+    }
+  };
+}
+
 /**
  * Create a MongoDB geospatial query for finding points within a polygon
  * @param {Array} coordinates - Array of [lng, lat] coordinates defining the polygon
@@ -204,6 +224,7 @@ module.exports = {
   kmToMeters,
   metersToKm,
   createNearbyQuery,
+  createWithinRadiusQuery,
   createWithinPolygonQuery,
   createBoundingBoxQuery,
   isValidLongitude,
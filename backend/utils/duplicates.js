@@ -0,0 +1,116 @@
+/**
+ * Duplicate issue detection: nearby open issues in the same category whose
+ * title and description use similar words
+ */
+
+const Issue = require('../models/Issue');
+const { createNearbyQuery } = require('./distance');
+const { OPEN_STATUSES } = require('../config/workflow');
+const { toWords, stem } = require('./text');
+
+// Nearby issues considered before text similarity is scored
+const NEARBY_SCAN_LIMIT = 25;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'this', 'that', 'there',
+  'has', 'have', 'had', 'been', 'not', 'but', 'from', 'its', 'our', 'near',
+  'very', 'some', 'any', 'all', 'into', 'out', 'over', 'since', 'still', 'also',
+  'please', 'can', 'could', 'would', 'should', 'will', 'just', 'about', 'they',
+  'them', 'their', 'which', 'when', 'what', 'who', 'how', 'road', 'street'
+]);
+
+/**
+ * Read the duplicate detection settings from the environment
+ * @returns {Object} Settings
+ */
+function getDuplicateDetectionConfig() {
+  return {
+    enabled: process.env.DUPLICATE_CHECK_ENABLED !== 'false',
+    radiusMeters: parseInt(process.env.DUPLICATE_RADIUS_METERS) || 150,
+    similarityThreshold: parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.2,
+    maxCandidates: parseInt(process.env.DUPLICATE_MAX_CANDIDATES) || 5
+  };
+}
+
+/**
+ * Split text into a set of meaningful word stems
+ * @param {string} text - Free text
+ * @returns {Set<string>} Word stems
+ */
+function tokenize(text = '') {
+  return new Set(
+    toWords(text)
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+      .map(stem)
+  );
+}
+
+/**
+ * Jaccard similarity of the words in two texts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+function textSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared += 1;
+  });
+
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * Score how alike two reports read; titles carry more weight than descriptions
+ * @param {Object} report - { title, description } of the new report
+ * @param {Object} issue - Existing issue
+ * @returns {number} Similarity between 0 and 1
+ */
+function reportSimilarity(report, issue) {
+  const titleScore = textSimilarity(report.title, issue.title);
+  const descriptionScore = textSimilarity(
+    `${report.title} ${report.description}`,
+    `${issue.title} ${issue.description}`
+  );
+
+  return 0.6 * titleScore + 0.4 * descriptionScore;
+}
+
+/**
+ * Find open issues that look like the same problem as a new report
+ * @param {Object} report - { title, description, category, longitude, latitude }
+ * @returns {Object[]} Candidates, most similar first: { issue, similarity, distance }
+ */
+async function findDuplicateCandidates(report) {
+  const { radiusMeters, similarityThreshold, maxCandidates } = getDuplicateDetectionConfig();
+  const { category, longitude, latitude } = report;
+
+  // $near already returns the closest issues first
+  const nearby = await Issue.find({
+    category,
+    status: { $in: OPEN_STATUSES },
+    isHidden: false,
+    ...createNearbyQuery(longitude, latitude, radiusMeters / 1000)
+  }).limit(NEARBY_SCAN_LIMIT);
+
+  return nearby
+    .map(issue => ({
+      issue,
+      similarity: reportSimilarity(report, issue),
+      distance: Math.round(issue.distanceFrom(longitude, latitude) * 1000) // meters
+    }))
+    .filter(candidate => candidate.similarity >= similarityThreshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, maxCandidates);
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  getDuplicateDetectionConfig,
+  textSimilarity,
+  findDuplicateCandidates
+};
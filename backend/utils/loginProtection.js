@@ -0,0 +1,67 @@
+/**
+ * Brute-force protection settings and helpers for login endpoints
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+/**
+ * Read the login protection settings from the environment
+ * @returns {Object} Settings
+ */
+function getLoginProtectionConfig() {
+  return {
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    maxLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+    ipWindowMs: (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000,
+    delayStepMs: parseInt(process.env.LOGIN_DELAY_STEP_MS) || 500,
+    maxDelayMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 5000
+  };
+}
+
+/**
+ * Lockout length for the nth consecutive lockout (doubles each time)
+ * @param {number} lockoutCount - Number of lockouts so far, including this one
+ * @returns {number} Lockout length in milliseconds
+ */
+function getLockoutDuration(lockoutCount) {
+  const { lockoutMinutes, maxLockoutMinutes } = getLoginProtectionConfig();
+  const minutes = Math.min(lockoutMinutes * 2 ** Math.max(lockoutCount - 1, 0), maxLockoutMinutes);
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Check whether an IP address has too many recent failures
+ * @param {string} ipAddress - Client IP
+ * @returns {Object} { throttled, failures, retryAfterSeconds }
+ */
+async function checkIpThrottle(ipAddress) {
+  const { ipMaxFailures, ipWindowMs } = getLoginProtectionConfig();
+  const failures = await LoginAttempt.countRecentFailuresByIp(ipAddress, ipWindowMs);
+
+  return {
+    throttled: failures >= ipMaxFailures,
+    failures,
+    retryAfterSeconds: Math.ceil(ipWindowMs / 1000)
+  };
+}
+
+/**
+ * Wait longer the more failures have been seen, to slow down guessing
+ * @param {number} failures - Number of recent failures
+ */
+function progressiveDelay(failures) {
+  const { delayStepMs, maxDelayMs } = getLoginProtectionConfig();
+  const delay = Math.min(failures * delayStepMs, maxDelayMs);
+
+  if (delay <= 0) return Promise.resolve();
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+module.exports = {
+  getLoginProtectionConfig,
+  getLockoutDuration,
+  checkIpThrottle,
+  progressiveDelay
+};
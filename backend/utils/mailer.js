@@ -0,0 +1,164 @@
+/**
+ * Outgoing email with pluggable transports
+ *
+ * The transport is chosen with MAIL_TRANSPORT:
+ * - console (default) - prints messages to stdout, for development
+ * - smtp - sends through SMTP_HOST/SMTP_PORT (e.g. a local SMTP catcher)
+ * Additional transports can be added with registerTransport().
+ */
+
+const transportFactories = {
+  console: () => ({
+    sendMail: async (message) => {
+      console.log('📧 Email (console transport)');
+      console.log(`   To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(message.text);
+      return { messageId: `console-${Date.now()}` };
+    }
+  }),
+
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom mail transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with an async sendMail(message)
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  activeTransport = null;
+}
+
+/**
+ * Get the configured transport instance
+ * @returns {Object} Transport with sendMail(message)
+ */
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} Transport result
+ */
+async function sendMail(message) {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'CivicFlow <no-reply@civicflow.local>',
+    ...message
+  });
+}
+
+/**
+ * Escape text for inclusion in an HTML email body
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a link into the frontend application
+ * @param {string} pathname - Frontend path
+ * @param {Object} params - Query parameters
+ * @returns {string} Absolute URL
+ */
+function frontendLink(pathname, params = {}) {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+/**
+ * Send the email address verification message
+ * @param {Object} user - User object
+ * @param {string} token - Raw verification token
+ */
+async function sendVerificationEmail(user, token) {
+  const link = frontendLink('/verify-email', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your CivicFlow email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create a CivicFlow account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>If you did not create a CivicFlow account, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Send the password reset message
+ * @param {Object} user - User object
+ * @param {string} token - Raw password reset token
+ */
+async function sendPasswordResetEmail(user, token) {
+  const link = frontendLink('/reset-password', { token });
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your CivicFlow password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Send a staff invitation
+ * @param {Object} invitation - Invitation document
+ * @param {string} token - Raw invitation token
+ * @param {Object} inviter - Admin who sent the invitation
+ */
+async function sendInvitationEmail(invitation, token, inviter) {
+  const link = frontendLink('/accept-invitation', { token });
+  const greeting = invitation.name ? `Hi ${invitation.name},` : 'Hi,';
+  const htmlGreeting = invitation.name ? `Hi ${escapeHtml(invitation.name)},` : 'Hi,';
+
+  return sendMail({
+    to: invitation.email,
+    subject: `You have been invited to CivicFlow as ${invitation.role === 'admin' ? 'an admin' : 'an agent'}`,
+    text: `${greeting}\n\n${inviter.name} invited you to join CivicFlow as ${invitation.role === 'admin' ? 'an admin' : 'an agent'}. Open the link below to set up your account:\n\n${link}\n\nThe invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+    html: `<p>${htmlGreeting}</p><p>${escapeHtml(inviter.name)} invited you to join CivicFlow as ${invitation.role === 'admin' ? 'an admin' : 'an agent'}. Open the link below to set up your account:</p><p><a href="${link}">${link}</a></p><p>The invitation expires on ${invitation.expiresAt.toUTCString()}.</p>`
+  });
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail,
+  escapeHtml,
+  frontendLink,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
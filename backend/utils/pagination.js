@@ -0,0 +1,166 @@
+/**
+ * Cursor pagination for list endpoints. A cursor records the sort value and
+ * _id of the last item returned, so the next page starts right after it and
+ * items inserted in the meantime are neither repeated nor skipped.
+ */
+
+const mongoose = require('mongoose');
+
+// Largest page a cursor request may ask for
+const MAX_CURSOR_LIMIT = 100;
+
+/**
+ * Turn the last item of a page into an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {string} sort - Sort the page was read with, e.g. '-createdAt'
+ * @returns {string} Cursor
+ */
+function encodeCursor(doc, sort) {
+  const field = sort.replace(/^-/, '');
+  const value = doc.get ? doc.get(field) : doc[field];
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(doc._id)
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor back
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { sort, value, id }, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof payload.s !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (value === undefined || value === null || (payload.d && isNaN(value))) return null;
+
+    return {
+      sort: payload.s,
+      value,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read cursor pagination options from a request query. Cursor mode is used
+ * when the query has `cursor`, or `pagination=cursor` for the first page.
+ * @param {Object} query - req.query
+ * @param {Object} options - { sortFields, defaultSort, defaultLimit }
+ * @returns {Object|null} { sort, limit, after, includeTotal } or { error }; null for page mode
+ */
+function parseCursorPagination(query, { sortFields, defaultSort, defaultLimit = 10 }) {
+  if (query.cursor === undefined && query.pagination !== 'cursor') return null;
+
+  const sort = String(query.sort || defaultSort);
+  if (!sortFields.includes(sort.replace(/^-/, ''))) {
+    return { error: `Cursor pagination can only sort by ${sortFields.join(', ')}` };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after) {
+      return { error: 'Invalid cursor' };
+    }
+    if (after.sort !== sort) {
+      return { error: 'Cursor was created for a different sort order' };
+    }
+  }
+
+  return {
+    sort,
+    limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_CURSOR_LIMIT),
+    after,
+    includeTotal: query.includeTotal !== 'false'
+  };
+}
+
+/**
+ * Sort options for a cursor page; _id breaks ties so the order is total
+ * @param {Object} cursorPage - Result of parseCursorPagination
+ * @returns {Object} Mongoose sort options
+ */
+function cursorSort({ sort }) {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  return { [sort.replace(/^-/, '')]: direction, _id: direction };
+}
+
+/**
+ * Query condition selecting the items after the cursor
+ * @param {Object} cursorPage - Result of parseCursorPagination
+ * @returns {Object|null} Condition, or null on the first page
+ */
+function cursorCondition({ sort, after }) {
+  if (!after) return null;
+
+  const field = sort.replace(/^-/, '');
+  const operator = sort.startsWith('-') ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [field]: { [operator]: after.value } },
+      { [field]: after.value, _id: { [operator]: after.id } }
+    ]
+  };
+}
+
+/**
+ * Add the cursor condition to a query without touching its own $or
+ * @param {Object} query - Query conditions
+ * @param {Object} cursorPage - Result of parseCursorPagination
+ * @returns {Object} Query for the page
+ */
+function applyCursor(query, cursorPage) {
+  const condition = cursorCondition(cursorPage);
+  if (!condition) return query;
+
+  return { ...query, $and: [...(query.$and || []), condition] };
+}
+
+/**
+ * Split a page read with one extra item into the items and the next cursor
+ * @param {Object[]} docs - Up to limit + 1 documents
+ * @param {Object} cursorPage - Result of parseCursorPagination
+ * @returns {Object} { items, nextCursor }
+ */
+function finishCursorPage(docs, { sort, limit }) {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+  };
+}
+
+/**
+ * Read one cursor page, and the total unless the client skipped it
+ * @param {Object} Model - Mongoose model
+ * @param {Object} options - { filter, countFilter, cursorPage, prepare }; prepare can add populates
+ * @returns {Object} { items, nextCursor, total }
+ */
+async function fetchCursorPage(Model, { filter, countFilter = filter, cursorPage, prepare = query => query }) {
+  const [docs, total] = await Promise.all([
+    prepare(Model.find(applyCursor(filter, cursorPage)))
+      .sort(cursorSort(cursorPage))
+      .limit(cursorPage.limit + 1),
+    cursorPage.includeTotal ? Model.countDocuments(countFilter) : null
+  ]);
+
+  return { ...finishCursorPage(docs, cursorPage), total };
+}
+
+module.exports = {
+  parseCursorPagination,
+  fetchCursorPage
+};
@@ -0,0 +1,148 @@
+/**
+ * Password policy: length, character classes, personal information and
+ * a locally bundled list of breached passwords
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+
+const DEFAULT_BREACHED_LIST_PATH = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+let breachedPasswords = null;
+
+/**
+ * Read the password policy settings from the environment
+ * @returns {Object} Settings
+ */
+function getPasswordPolicyConfig() {
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false',
+    breachedListPath: process.env.PASSWORD_BREACHED_LIST_PATH || DEFAULT_BREACHED_LIST_PATH
+  };
+}
+
+/**
+ * Load the breached password list once (lowercased, comments skipped)
+ * @returns {Set<string>} Breached passwords
+ */
+function loadBreachedPasswords() {
+  if (!breachedPasswords) {
+    const { breachedListPath } = getPasswordPolicyConfig();
+
+    try {
+      breachedPasswords = new Set(
+        fs.readFileSync(breachedListPath, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error(`Breached password list could not be read from ${breachedListPath}:`, error.message);
+      breachedPasswords = new Set();
+    }
+  }
+
+  return breachedPasswords;
+}
+
+/**
+ * Check a password against the breached password list
+ * @param {string} password - Candidate password
+ * @returns {boolean} True if the password is known to be breached
+ */
+function isBreachedPassword(password) {
+  return loadBreachedPasswords().has(password.toLowerCase());
+}
+
+/**
+ * Pieces of the user's name and email that must not appear in the password
+ * @param {Object} context - { name, email }
+ * @returns {string[]} Lowercased fragments of at least 3 characters
+ */
+function personalFragments({ name, email } = {}) {
+  const fragments = [];
+
+  if (email) {
+    const localPart = email.split('@')[0];
+    fragments.push(localPart, ...localPart.split(/[^a-z0-9]+/i));
+  }
+  if (name) {
+    fragments.push(...name.split(/\s+/));
+  }
+
+  return fragments
+    .map(fragment => fragment.toLowerCase())
+    .filter(fragment => fragment.length >= 3);
+}
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} context - Account details to compare against: { name, email }
+ * @returns {string[]} Problems found (empty when the password is acceptable)
+ */
+function validatePassword(password, context = {}) {
+  const policy = getPasswordPolicyConfig();
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+    if (typeof password !== 'string') return problems;
+  }
+  if (password.length > policy.maxLength) {
+    problems.push(`Password cannot exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  const lowered = password.toLowerCase();
+  if (personalFragments(context).some(fragment => lowered.includes(fragment))) {
+    problems.push('Password must not contain your name or email address');
+  }
+
+  if (policy.checkBreached && isBreachedPassword(password)) {
+    problems.push('This password has appeared in a data breach; please choose another');
+  }
+
+  return problems;
+}
+
+/**
+ * Validation rule enforcing the policy on a request body field
+ * @param {string} field - Body field holding the new password
+ * @param {Function} getContext - (req) => { name, email } of the account
+ * @returns {Object} express-validator chain
+ */
+function passwordPolicyRule(field = 'password', getContext = req => req.body) {
+  return body(field).custom((value, { req }) => {
+    const problems = validatePassword(value, getContext(req) || {});
+    if (problems.length > 0) {
+      throw new Error(problems.join('. '));
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  getPasswordPolicyConfig,
+  isBreachedPassword,
+  validatePassword,
+  passwordPolicyRule
+};
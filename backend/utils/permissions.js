@@ -0,0 +1,61 @@
+/**
+ * Role to permission lookups with a short-lived in-memory cache
+ */
+
+const RolePermission = require('../models/RolePermission');
+
+let cachedMapping = null;
+let cachedAt = 0;
+
+/**
+ * Get the role to permission mapping
+ * @returns {Object} Permission lists keyed by role
+ */
+async function getRolePermissionMapping() {
+  const ttlMs = (parseInt(process.env.PERMISSION_CACHE_SECONDS) || 60) * 1000;
+
+  if (!cachedMapping || Date.now() - cachedAt > ttlMs) {
+    cachedMapping = await RolePermission.getMapping();
+    cachedAt = Date.now();
+  }
+
+  return cachedMapping;
+}
+
+/**
+ * Forget the cached mapping (call after editing it)
+ */
+function clearPermissionCache() {
+  cachedMapping = null;
+  cachedAt = 0;
+}
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Set<string>} Granted permissions
+ */
+async function getPermissionsForRole(role) {
+  const mapping = await getRolePermissionMapping();
+  return new Set(mapping[role] || []);
+}
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object|null} user - User document (anonymous requests hold none)
+ * @param {string} permission - Permission key
+ * @returns {boolean} True if granted
+ */
+async function userHasPermission(user, permission) {
+  if (!user) return false;
+
+  const permissions = await getPermissionsForRole(user.role);
+  return permissions.has(permission);
+}
+
+module.exports = {
+  getRolePermissionMapping,
+  clearPermissionCache,
+  getPermissionsForRole,
+  userHasPermission
+};
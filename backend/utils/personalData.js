@@ -0,0 +1,139 @@
+/**
+ * Personal data export and account erasure
+ */
+
+const archiver = require('archiver');
+const Issue = require('../models/Issue');
+const Flag = require('../models/Flag');
+const Comment = require('../models/Comment');
+const IssueRevision = require('../models/IssueRevision');
+const StatusLog = require('../models/StatusLog');
+const Notification = require('../models/Notification');
+const Vote = require('../models/Vote');
+const LoginAttempt = require('../models/LoginAttempt');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+
+// Request details captured alongside public records
+const TRACKING_FIELDS = { 'metadata.ipAddress': 1, 'metadata.userAgent': 1 };
+
+/**
+ * Gather everything stored about a user
+ * @param {Object} user - User document
+ * @returns {Object} Export sections keyed by name
+ */
+async function collectPersonalData(user) {
+  const userId = user._id;
+
+  const [issues, votes, following, issueEdits, comments, flags, statusUpdates, notifications, loginHistory, sessions, apiKeys] = await Promise.all([
+    Issue.find({ createdBy: userId }).sort({ createdAt: -1 }).lean(),
+    Vote.find({ user: userId })
+      .populate('issueId', 'title category status')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Issue.find({ followers: userId })
+      .select('title category status createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    IssueRevision.find({ editedBy: userId }).sort({ createdAt: -1 }).lean(),
+    Comment.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    Flag.find({ flaggedBy: userId }).sort({ createdAt: -1 }).lean(),
+    StatusLog.find({ updatedBy: userId }).sort({ createdAt: -1 }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+    LoginAttempt.find({ $or: [{ user: userId }, { email: user.email }] }).sort({ createdAt: -1 }).lean(),
+    Session.find({ user: userId }).sort({ createdAt: -1 }),
+    ApiKey.find({ user: userId }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    issues,
+    votes: votes.map(vote => ({
+      issue: vote.issueId?._id || null,
+      title: vote.issueId?.title,
+      category: vote.issueId?.category,
+      status: vote.issueId?.status,
+      type: vote.type,
+      votedAt: vote.createdAt
+    })),
+    following: following.map(issue => ({
+      issue: issue._id,
+      title: issue.title,
+      category: issue.category,
+      status: issue.status
+    })),
+    issueEdits,
+    comments,
+    flags,
+    statusUpdates,
+    notifications,
+    loginHistory,
+    sessions: sessions.map(session => session.toAPIResponse()),
+    apiKeys: apiKeys.map(apiKey => apiKey.toAPIResponse())
+  };
+}
+
+/**
+ * Stream an export as a ZIP archive with one JSON file per section
+ * @param {Object} data - Result of collectPersonalData
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ */
+function sendPersonalDataArchive(data, res, filename) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  res.attachment(filename);
+  res.type('application/zip');
+
+  archive.on('error', (error) => {
+    console.error('Data export archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  for (const [section, content] of Object.entries(data)) {
+    if (section === 'exportedAt') continue;
+    archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+  }
+  archive.append(JSON.stringify({ exportedAt: data.exportedAt, sections: Object.keys(data).filter(key => key !== 'exportedAt') }, null, 2), { name: 'manifest.json' });
+
+  return archive.finalize();
+}
+
+/**
+ * Erase a user's personal data while keeping their public reports
+ *
+ * Issues, comments, flags and status updates stay (other people rely on them) but lose
+ * the IP address and user agent they were filed with. The user document is
+ * scrubbed rather than deleted so references to it keep resolving.
+ * @param {Object} user - User document
+ */
+async function erasePersonalData(user) {
+  const userId = user._id;
+  const email = user.email;
+
+  await Promise.all([
+    Issue.updateMany({ createdBy: userId }, { $unset: TRACKING_FIELDS }),
+    Comment.updateMany({ author: userId }, { $unset: TRACKING_FIELDS }),
+    IssueRevision.updateMany({ editedBy: userId }, { $unset: TRACKING_FIELDS }),
+    Flag.updateMany({ flaggedBy: userId }, { $unset: TRACKING_FIELDS }),
+    StatusLog.updateMany({ updatedBy: userId }, { $unset: TRACKING_FIELDS }),
+    Issue.updateMany({ followers: userId }, { $pull: { followers: userId } }),
+    Notification.deleteMany({ recipient: userId }),
+    LoginAttempt.deleteMany({ $or: [{ user: userId }, { email }] }),
+    RefreshToken.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    ApiKey.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } })
+  ]);
+
+  user.anonymize();
+  await user.save({ validateBeforeSave: false });
+}
+
+module.exports = {
+  collectPersonalData,
+  sendPersonalDataArchive,
+  erasePersonalData
+};
@@ -0,0 +1,221 @@
+/**
+ * Automatic issue priority: a 0-100 score built from category severity,
+ * community support, age, nearby sensitive places and repeat reports
+ */
+
+const Issue = require('../models/Issue');
+const SensitivePlace = require('../models/SensitivePlace');
+const { createWithinRadiusQuery, metersToKm } = require('./distance');
+const { OPEN_STATUSES } = require('../config/workflow');
+
+// Points each category starts with (out of 30)
+const CATEGORY_SEVERITY = {
+  'Public Safety': 30,
+  'Public Health': 26,
+  'Water & Sanitation': 24,
+  'Electricity': 22,
+  'Road & Transportation': 20,
+  'Building & Construction': 16,
+  'Street Lighting': 15,
+  'Waste Management': 12,
+  'Air Pollution': 12,
+  'Noise Pollution': 8,
+  'Parks & Recreation': 6,
+  'Other': 8
+};
+
+// Most points each factor can add
+const MAX_SUPPORT_POINTS = 25;
+const MAX_AGE_POINTS = 15;
+const SENSITIVE_PLACE_POINTS = 20;
+const MAX_REPEAT_POINTS = 10;
+
+// Lowest score for each priority level, highest first
+const PRIORITY_LEVELS = [
+  { priority: 'Critical', minScore: 70 },
+  { priority: 'High', minScore: 45 },
+  { priority: 'Medium', minScore: 20 },
+  { priority: 'Low', minScore: 0 }
+];
+
+/**
+ * Read the priority scoring settings from the environment
+ * @returns {Object} Settings
+ */
+function getPriorityScoringConfig() {
+  return {
+    repeatRadiusMeters: parseInt(process.env.PRIORITY_REPEAT_RADIUS_METERS) || 250,
+    repeatWindowDays: parseInt(process.env.PRIORITY_REPEAT_WINDOW_DAYS) || 90,
+    agePointsPerDay: parseFloat(process.env.PRIORITY_AGE_POINTS_PER_DAY) || 0.5
+  };
+}
+
+/**
+ * Map a score to a priority level
+ * @param {number} score - Priority score
+ * @returns {string} Priority level
+ */
+function priorityForScore(score) {
+  return PRIORITY_LEVELS.find(level => score >= level.minScore).priority;
+}
+
+/**
+ * Score an issue from the facts gathered about it
+ * @param {Object} issue - Issue (category, status, vote counters, createdAt)
+ * @param {Object} context - Gathered facts
+ * @param {Array} context.sensitivePlaces - Sensitive places covering the issue
+ * @param {number} context.repeatReports - Other reports of the same kind nearby
+ * @param {Date} [context.now] - Time to measure age against
+ * @returns {Object} { score, priority, factors }
+ */
+function computePriorityScore(issue, { sensitivePlaces = [], repeatReports = 0, now = new Date() }) {
+  const { agePointsPerDay } = getPriorityScoringConfig();
+
+  // Confirmations count double: each is someone else affected by the problem
+  const support = Math.max(0, (issue.upvotes || 0) + 2 * (issue.confirmations || 0) - (issue.downvotes || 0));
+  const ageDays = Math.max(0, (now - issue.createdAt) / (24 * 60 * 60 * 1000));
+  const isOpen = OPEN_STATUSES.includes(issue.status);
+
+  const factors = {
+    severity: CATEGORY_SEVERITY[issue.category] ?? CATEGORY_SEVERITY.Other,
+    support: Math.min(MAX_SUPPORT_POINTS, 8 * Math.log2(1 + support)),
+    age: isOpen ? Math.min(MAX_AGE_POINTS, ageDays * agePointsPerDay) : 0,
+    sensitivePlaces: sensitivePlaces.length > 0 ? SENSITIVE_PLACE_POINTS : 0,
+    repeatReports: Math.min(MAX_REPEAT_POINTS, 2 * repeatReports)
+  };
+  Object.keys(factors).forEach(factor => {
+    factors[factor] = Math.round(factors[factor] * 10) / 10;
+  });
+
+  const score = Math.round(Math.min(100, Object.values(factors).reduce((sum, points) => sum + points, 0)));
+
+  return { score, priority: priorityForScore(score), factors };
+}
+
+/**
+ * Count other reports of the same category near an issue within the repeat window,
+ * including duplicates that were merged away
+ * @param {Object} issue - Issue document
+ * @returns {Promise<number>} Number of reports
+ */
+async function countRepeatReports(issue) {
+  const { repeatRadiusMeters, repeatWindowDays } = getPriorityScoringConfig();
+  const [longitude, latitude] = issue.location.coordinates;
+
+  return Issue.countDocuments({
+    _id: { $ne: issue._id },
+    category: issue.category,
+    isHidden: false,
+    createdAt: { $gte: new Date(Date.now() - repeatWindowDays * 24 * 60 * 60 * 1000) },
+    ...createWithinRadiusQuery(longitude, latitude, metersToKm(repeatRadiusMeters))
+  });
+}
+
+/**
+ * Score an issue and build the fields to store. The priority level follows
+ * the score unless staff have overridden it.
+ * @param {Object} issue - Issue document, saved or not
+ * @returns {Promise<Object>} Fields to set on the issue
+ */
+async function buildPriorityUpdate(issue) {
+  const [longitude, latitude] = issue.location.coordinates;
+  const [sensitivePlaces, repeatReports] = await Promise.all([
+    SensitivePlace.findCovering(longitude, latitude),
+    countRepeatReports(issue)
+  ]);
+
+  const { score, priority, factors } = computePriorityScore(issue, { sensitivePlaces, repeatReports });
+
+  const update = {
+    priorityScore: score,
+    priorityFactors: {
+      ...factors,
+      nearbyPlaces: sensitivePlaces.map(place => place._id)
+    },
+    priorityScoredAt: new Date()
+  };
+  if (!issue.isPriorityOverridden) {
+    update.priority = priority;
+  }
+  return update;
+}
+
+/**
+ * Recompute a stored issue's priority score
+ * @param {string|Object} issueId - Issue ID
+ * @returns {Promise<Object|null>} Fields that were set, or null if the issue is gone
+ */
+async function recalculatePriority(issueId) {
+  const issue = await Issue.findById(issueId)
+    .select('category status location createdAt upvotes downvotes confirmations isPriorityOverridden');
+  if (!issue) return null;
+
+  const update = await buildPriorityUpdate(issue);
+
+  // Written directly so a concurrent save of other fields is not overwritten
+  await Issue.updateOne({ _id: issue._id }, { $set: update }, { timestamps: false });
+  return update;
+}
+
+/**
+ * Recompute the priority of open issues in an area, e.g. after a new report
+ * or a sensitive place was added there
+ * @param {number} longitude - Center longitude
+ * @param {number} latitude - Center latitude
+ * @param {number} radiusMeters - Radius around the center
+ * @param {Object} [filter] - Extra conditions, e.g. a category
+ * @returns {Promise<number>} Number of issues recomputed
+ */
+async function recalculatePrioritiesNear(longitude, latitude, radiusMeters, filter = {}) {
+  const issues = await Issue.find({
+    ...filter,
+    status: { $in: OPEN_STATUSES },
+    mergedInto: null,
+    ...createWithinRadiusQuery(longitude, latitude, metersToKm(radiusMeters))
+  }).select('_id');
+
+  for (const issue of issues) {
+    await recalculatePriority(issue._id);
+  }
+  return issues.length;
+}
+
+/**
+ * Recompute the priority of every open issue, so age keeps counting
+ * @returns {Promise<number>} Number of issues recomputed
+ */
+async function recalculateOpenPriorities() {
+  const cursor = Issue.find({ status: { $in: OPEN_STATUSES }, mergedInto: null }).select('_id').cursor();
+
+  let count = 0;
+  for await (const issue of cursor) {
+    await recalculatePriority(issue._id);
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Recompute an issue's priority after an event without failing the request
+ * that caused it; the periodic recalculation catches anything missed
+ * @param {string|Object} issueId - Issue ID
+ */
+async function refreshPriority(issueId) {
+  try {
+    await recalculatePriority(issueId);
+  } catch (error) {
+    console.error('Priority recalculation error:', error);
+  }
+}
+
+module.exports = {
+  CATEGORY_SEVERITY,
+  getPriorityScoringConfig,
+  priorityForScore,
+  computePriorityScore,
+  buildPriorityUpdate,
+  recalculatePriority,
+  recalculatePrioritiesNear,
+  recalculateOpenPriorities,
+  refreshPriority
+};
@@ -0,0 +1,206 @@
+/**
+ * Full-text issue search: turns a user's search string into a query for the
+ * issue text index and builds highlighted snippets for the results
+ */
+
+const { toWords, stem } = require('./text');
+
+// Longer search strings are cut to this many characters
+const MAX_SEARCH_LENGTH = 200;
+
+// Characters of context kept before the first match in long fields
+const SNIPPET_CONTEXT = 60;
+
+// Longest snippet returned for a field
+const SNIPPET_LENGTH = 200;
+
+// Fields snippets are built from
+const SNIPPET_FIELDS = ['title', 'description', 'address', 'landmark'];
+
+// Fields checked when a search only excludes words
+const EXCLUSION_FIELDS = ['title', 'description', 'address', 'landmark', 'tags'];
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a search string into terms, "quoted phrases" and -negated terms or phrases
+ * @param {string} input - Search string as typed by the user
+ * @returns {Object} { terms, phrases, excludedTerms, excludedPhrases }
+ */
+function parseSearchQuery(input = '') {
+  const terms = new Set();
+  const phrases = new Set();
+  const excludedTerms = new Set();
+  const excludedPhrases = new Set();
+
+  // -"excluded phrase", "phrase" (an unclosed quote runs to the end), -excluded or a plain term
+  const tokenPattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+  const text = String(input).slice(0, MAX_SEARCH_LENGTH);
+
+  for (const match of text.matchAll(tokenPattern)) {
+    const isQuoted = match[2] !== undefined;
+    const excluded = (isQuoted ? match[1] : match[3]) === '-';
+    const words = toWords(isQuoted ? match[2] : match[4]);
+
+    if (words.length === 0) continue;
+
+    if (words.length === 1 || !isQuoted) {
+      words.forEach(word => (excluded ? excludedTerms : terms).add(word));
+    } else {
+      (excluded ? excludedPhrases : phrases).add(words.join(' '));
+    }
+  }
+
+  return {
+    terms: [...terms],
+    phrases: [...phrases],
+    excludedTerms: [...excludedTerms],
+    excludedPhrases: [...excludedPhrases]
+  };
+}
+
+/**
+ * Check whether a parsed search asks for anything to match, not just to exclude
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} True if there are terms or phrases
+ */
+function hasPositiveCriteria(parsed) {
+  return parsed.terms.length > 0 || parsed.phrases.length > 0;
+}
+
+/**
+ * Regular expression matching a phrase as whole words separated by anything
+ * @param {string} phrase - Space-separated words
+ * @returns {string} Pattern source
+ */
+function phrasePattern(phrase) {
+  return `(?<![\\p{L}\\p{N}])${phrase.split(' ').map(escapeRegex).join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`;
+}
+
+/**
+ * Build the MongoDB filter for a parsed search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object|null} Query fragment, or null if the search is empty
+ */
+function buildSearchFilter(parsed) {
+  if (hasPositiveCriteria(parsed)) {
+    // Every part is made of plain words, so only our own quotes and dashes reach the text index
+    const search = [
+      ...parsed.terms,
+      ...parsed.phrases.map(phrase => `"${phrase}"`),
+      ...parsed.excludedTerms.map(term => `-${term}`),
+      ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`)
+    ].join(' ');
+
+    return { $text: { $search: search } };
+  }
+
+  // The text index cannot answer a search made only of exclusions
+  const excluded = [...parsed.excludedTerms, ...parsed.excludedPhrases];
+  if (excluded.length === 0) return null;
+
+  return {
+    $nor: excluded.flatMap(value => EXCLUSION_FIELDS.map(field => ({
+      [field]: { $regex: phrasePattern(value), $options: 'iu' }
+    })))
+  };
+}
+
+/**
+ * Build one regular expression matching any searched term or phrase
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {RegExp|null} Pattern, or null if nothing is searched for
+ */
+function buildHighlightPattern(parsed) {
+  const alternatives = [
+    ...parsed.phrases.map(phrasePattern),
+    // Terms also match their other word forms, as the text index does
+    ...parsed.terms.map(term => `(?<![\\p{L}\\p{N}])${escapeRegex(stem(term))}[\\p{L}\\p{N}]*`)
+  ];
+  if (alternatives.length === 0) return null;
+
+  return new RegExp(alternatives.join('|'), 'giu');
+}
+
+/**
+ * Cut a long text down to a window around its first match
+ * @param {string} text - Field value
+ * @param {Object[]} matches - Match positions: { start, end }
+ * @returns {Object} { start, end } of the window
+ */
+function snippetWindow(text, matches) {
+  if (text.length <= SNIPPET_LENGTH) return { start: 0, end: text.length };
+
+  let start = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matches[0].start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matches[0].end) end = space;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Build highlighted snippets for the fields of an issue that match a search
+ * @param {Object} issue - Issue document
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} Segments per matching field: { [field]: [{ text, highlight }] }
+ */
+function buildSnippets(issue, parsed) {
+  const pattern = buildHighlightPattern(parsed);
+  const snippets = {};
+  if (!pattern) return snippets;
+
+  SNIPPET_FIELDS.forEach(field => {
+    const text = issue[field];
+    if (!text) return;
+
+    const matches = [...text.matchAll(pattern)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+    if (matches.length === 0) return;
+
+    const { start, end } = snippetWindow(text, matches);
+    const segments = [];
+    let position = start;
+
+    if (start > 0) segments.push({ text: '…', highlight: false });
+    matches
+      .filter(match => match.start >= start && match.end <= end)
+      .forEach(match => {
+        if (match.start > position) {
+          segments.push({ text: text.slice(position, match.start), highlight: false });
+        }
+        segments.push({ text: text.slice(match.start, match.end), highlight: true });
+        position = match.end;
+      });
+    if (end > position) segments.push({ text: text.slice(position, end), highlight: false });
+    if (end < text.length) segments.push({ text: '…', highlight: false });
+
+    snippets[field] = segments;
+  });
+
+  return snippets;
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildSearchFilter,
+  buildSnippets
+};
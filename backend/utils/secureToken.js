@@ -0,0 +1,49 @@
+/**
+ * Utility functions for one-time tokens that are stored hashed
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a raw token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a random token together with its hash
+ * @param {number} bytes - Number of random bytes
+ * @returns {Object} { token, hash } - send the token, store the hash
+ */
+function generateSecureToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Compute an expiry date from now
+ * @param {number} hours - Lifetime in hours
+ * @returns {Date} Expiry date
+ */
+function expiresInHours(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Compute an expiry date from now
+ * @param {number} minutes - Lifetime in minutes
+ * @returns {Date} Expiry date
+ */
+function expiresInMinutes(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+module.exports = {
+  hashToken,
+  generateSecureToken,
+  expiresInHours,
+  expiresInMinutes
+};
@@ -0,0 +1,157 @@
+/**
+ * Service level agreements: per-category response and resolution targets,
+ * compliance filters and the periodic breach check
+ */
+
+const Issue = require('../models/Issue');
+const StatusLog = require('../models/StatusLog');
+const { OPEN_STATUSES } = require('../config/workflow');
+
+// Values accepted by the `sla` filter
+const SLA_STATUSES = ['breached', 'at_risk', 'on_track', 'met', 'none'];
+
+/**
+ * Read the SLA settings from the environment
+ * @returns {Object} Settings
+ */
+function getSlaConfig() {
+  return {
+    atRiskHours: parseFloat(process.env.SLA_AT_RISK_HOURS) || 4
+  };
+}
+
+/**
+ * Work out where an issue stands against its SLA
+ * @param {Object} issue - Issue document
+ * @param {Date} [now] - Time to compare due dates with
+ * @returns {string} One of SLA_STATUSES
+ */
+function getSlaStatus(issue, now = new Date()) {
+  const { sla } = issue;
+  if (!sla?.resolutionDueAt) return 'none';
+  if (sla.responseBreached || sla.resolutionBreached) return 'breached';
+  if (!OPEN_STATUSES.includes(issue.status)) return 'met';
+
+  const atRiskBefore = new Date(now.getTime() + getSlaConfig().atRiskHours * 60 * 60 * 1000);
+  const nextDueAt = sla.respondedAt ? sla.resolutionDueAt : sla.responseDueAt;
+  return nextDueAt <= atRiskBefore ? 'at_risk' : 'on_track';
+}
+
+/**
+ * Build the issue query for an SLA compliance status
+ * @param {string} status - One of SLA_STATUSES
+ * @param {Date} [now] - Time to compare due dates with
+ * @returns {Object} MongoDB query
+ */
+function buildSlaFilter(status, now = new Date()) {
+  const breached = { $or: [{ 'sla.responseBreached': true }, { 'sla.resolutionBreached': true }] };
+  const notBreached = { 'sla.responseBreached': { $ne: true }, 'sla.resolutionBreached': { $ne: true } };
+  const atRiskBefore = new Date(now.getTime() + getSlaConfig().atRiskHours * 60 * 60 * 1000);
+  const dueSoon = {
+    $or: [
+      { 'sla.respondedAt': null, 'sla.responseDueAt': { $lte: atRiskBefore } },
+      { 'sla.resolutionDueAt': { $lte: atRiskBefore } }
+    ]
+  };
+
+  switch (status) {
+    case 'breached':
+      return { 'sla.resolutionDueAt': { $ne: null }, ...breached };
+    case 'at_risk':
+      return { 'sla.resolutionDueAt': { $ne: null }, status: { $in: OPEN_STATUSES }, ...notBreached, ...dueSoon };
+    case 'on_track':
+      return {
+        'sla.resolutionDueAt': { $ne: null },
+        status: { $in: OPEN_STATUSES },
+        ...notBreached,
+        $nor: [dueSoon]
+      };
+    case 'met':
+      return { 'sla.resolutionDueAt': { $ne: null }, status: { $nin: OPEN_STATUSES }, ...notBreached };
+    case 'none':
+      return { 'sla.resolutionDueAt': null };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Format an issue's SLA for API responses
+ * @param {Object} issue - Issue document
+ * @returns {Object|null} SLA summary, or null if the issue has none
+ */
+function formatSla(issue) {
+  const { sla } = issue;
+  if (!sla?.resolutionDueAt) return null;
+
+  return {
+    status: getSlaStatus(issue),
+    responseDueAt: sla.responseDueAt,
+    resolutionDueAt: sla.resolutionDueAt,
+    respondedAt: sla.respondedAt,
+    responseBreached: sla.responseBreached,
+    resolutionBreached: sla.resolutionBreached
+  };
+}
+
+/**
+ * Mark one kind of overdue issue as breached and record it on each timeline
+ * @param {string} kind - 'response' or 'resolution'
+ * @param {Object} overdue - Query matching the overdue issues
+ * @returns {Promise<number>} Number of issues marked
+ */
+async function markBreaches(kind, overdue) {
+  const flag = kind === 'response' ? 'sla.responseBreached' : 'sla.resolutionBreached';
+  const issues = await Issue.find({ ...overdue, [flag]: { $ne: true }, mergedInto: null })
+    .select('status sla');
+
+  let marked = 0;
+  for (const issue of issues) {
+    // Only the run that flips the flag writes the log, should two checks overlap
+    const { modifiedCount } = await Issue.updateOne(
+      { _id: issue._id, [flag]: { $ne: true } },
+      { $set: { [flag]: true } },
+      { timestamps: false }
+    );
+    if (modifiedCount === 0) continue;
+
+    const dueAt = kind === 'response' ? issue.sla.responseDueAt : issue.sla.resolutionDueAt;
+    await StatusLog.createStatusLog(issue._id, issue.status, null, {
+      previousStatus: issue.status,
+      comment: `${kind === 'response' ? 'Response' : 'Resolution'} SLA breached: due ${dueAt.toISOString()}`,
+      isSystemGenerated: true,
+      slaBreach: kind,
+      metadata: { source: 'system' }
+    });
+    marked += 1;
+  }
+  return marked;
+}
+
+/**
+ * Find issues that have missed their response or resolution target since the last check
+ * @param {Date} [now] - Time to compare due dates with
+ * @returns {Promise<Object>} { response, resolution } numbers of new breaches
+ */
+async function checkSlaBreaches(now = new Date()) {
+  const response = await markBreaches('response', {
+    'sla.responseDueAt': { $lt: now },
+    'sla.respondedAt': null,
+    status: 'Reported'
+  });
+  const resolution = await markBreaches('resolution', {
+    'sla.resolutionDueAt': { $lt: now },
+    status: { $in: OPEN_STATUSES }
+  });
+
+  return { response, resolution };
+}
+
+module.exports = {
+  SLA_STATUSES,
+  getSlaConfig,
+  getSlaStatus,
+  buildSlaFilter,
+  formatSla,
+  checkSlaBreaches
+};
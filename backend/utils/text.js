@@ -0,0 +1,32 @@
+/**
+ * Word helpers shared by issue search and duplicate detection
+ */
+
+/**
+ * Split text into lowercase words, dropping punctuation and operators
+ * @param {string} text - Free text
+ * @returns {string[]} Words
+ */
+function toWords(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Reduce a word to a rough stem so "potholes" matches "pothole"
+ * @param {string} word - Lowercased word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length > 5 && /(ing|ed)$/.test(word)) {
+    return word.replace(/(ing|ed)$/, '');
+  }
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+module.exports = {
+  toWords,
+  stem
+};
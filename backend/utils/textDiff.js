@@ -0,0 +1,80 @@
+/**
+ * Word-level text diff used for issue revision history
+ */
+
+// Above this many token comparisons the diff falls back to replacing the whole text
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Split text into words and the whitespace between them
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens that join back into the original text
+ */
+function tokenize(text) {
+  return text ? text.split(/(\s+)/).filter(token => token !== '') : [];
+}
+
+/**
+ * Append a diff operation, joining it with the previous one of the same kind
+ * @param {Object[]} ops - Operations so far
+ * @param {string} op - 'equal', 'insert' or 'delete'
+ * @param {string} text - Text covered by the operation
+ */
+function pushOp(ops, op, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    ops.push({ op, text });
+  }
+}
+
+/**
+ * Compute a word-level diff between two texts
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Object[]} Operations: { op: 'equal'|'insert'|'delete', text }
+ */
+function diffText(before = '', after = '') {
+  const a = tokenize(before || '');
+  const b = tokenize(after || '');
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length) pushOp(ops, 'delete', a.join(''));
+    if (b.length) pushOp(ops, 'insert', b.join(''));
+    return ops;
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushOp(ops, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushOp(ops, 'delete', a[i++]);
+    } else {
+      pushOp(ops, 'insert', b[j++]);
+    }
+  }
+  while (i < a.length) pushOp(ops, 'delete', a[i++]);
+  while (j < b.length) pushOp(ops, 'insert', b[j++]);
+
+  return ops;
+}
+
+module.exports = {
+  diffText
+};
@@ -0,0 +1,92 @@
+/**
+ * Utility functions for TOTP two-factor authentication
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const { hashToken } = require('./secureToken');
+
+// Accept codes from one step before/after to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CivicFlow';
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string} Secret
+ */
+function generateSecret() {
+  return authenticator.generateSecret();
+}
+
+/**
+ * Build the otpauth:// URL authenticator apps use for enrollment
+ * @param {string} accountName - Usually the user's email
+ * @param {string} secret - TOTP secret
+ * @returns {string} otpauth URL
+ */
+function buildOtpauthUrl(accountName, secret) {
+  return authenticator.keyuri(accountName, ISSUER, secret);
+}
+
+/**
+ * Verify a 6-digit TOTP code
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - TOTP secret
+ * @returns {number|null} Time step the code belongs to, or null if invalid
+ */
+function verifyCode(code, secret) {
+  if (!code || !secret) return null;
+
+  try {
+    const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+    if (delta === null) return null;
+
+    return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a recovery code before hashing
+ * @param {string} code - Recovery code as typed
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+/**
+ * Generate a set of single-use recovery codes
+ * @param {number} count - Number of codes
+ * @returns {Object} { codes, hashes } - show the codes once, store the hashes
+ */
+function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+}
+
+/**
+ * Hash a recovery code for lookup
+ * @param {string} code - Recovery code as typed
+ * @returns {string} Hash
+ */
+function hashRecoveryCode(code) {
+  return hashToken(normalizeRecoveryCode(code));
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUrl,
+  verifyCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
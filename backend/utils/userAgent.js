@@ -0,0 +1,41 @@
+/**
+ * Lightweight User-Agent parsing for session listings
+ */
+
+// Checked in order: Edge and Opera also contain "Chrome", Chrome contains "Safari"
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/[\d.]+/],
+  ['Opera', /OPR\/[\d.]+/],
+  ['Firefox', /(?:Firefox|FxiOS)\/[\d.]+/],
+  ['Chrome', /(?:Chrome|CriOS)\/[\d.]+/],
+  ['Safari', /Version\/[\d.]+.*Safari/]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Describe the browser and platform behind a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} { browser, platform, label }
+ */
+function describeDevice(userAgent = '') {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0] || null;
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0] || null;
+
+  let label = 'Unknown device';
+  if (browser && platform) label = `${browser} on ${platform}`;
+  else if (browser || platform) label = browser || platform;
+  else if (userAgent) label = userAgent.split(' ')[0]; // e.g. curl/8.4.0 or a mobile app name
+
+  return { browser, platform, label };
+}
+
+module.exports = {
+  describeDevice
+};
@@ -0,0 +1,310 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { ApiError, apiRequest } from "@/lib/api";
+import { Flag, MessageCircle, Pencil, Reply, Trash2 } from "lucide-react";
+
+interface CommentAuthor {
+  _id: string;
+  name: string;
+  role: "citizen" | "agent" | "admin";
+  avatar?: string | null;
+  isEmailVerified: boolean;
+}
+
+interface IssueComment {
+  id: string;
+  parentId: string | null;
+  depth: number;
+  author: CommentAuthor | null;
+  body: string | null;
+  isOfficial: boolean;
+  isEdited: boolean;
+  isDeleted: boolean;
+  isHidden: boolean;
+  canEdit: boolean;
+  canDelete: boolean;
+  createdAt: string;
+  replies: IssueComment[];
+}
+
+interface CommentsResponse {
+  comments: IssueComment[];
+  total: number;
+}
+
+const FLAG_REASONS = [
+  "Inappropriate Content",
+  "Spam",
+  "False Information",
+  "Offensive Language",
+  "Personal Attack",
+  "Off Topic",
+  "Other",
+];
+
+type ActiveForm = { commentId: string; mode: "reply" | "edit" | "flag" } | null;
+
+const errorMessage = (err: unknown, fallback: string) => (err instanceof ApiError ? err.message : fallback);
+
+const IssueComments = ({ issueId }: { issueId: string }) => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const [newComment, setNewComment] = useState("");
+  const [activeForm, setActiveForm] = useState<ActiveForm>(null);
+  const [draft, setDraft] = useState("");
+  const [flagReason, setFlagReason] = useState(FLAG_REASONS[0]);
+
+  const queryKey = ["issues", issueId, "comments"];
+
+  const { data, isLoading, error } = useQuery({
+    queryKey,
+    queryFn: () => apiRequest<CommentsResponse>(`/issues/${issueId}/comments`),
+  });
+
+  const openForm = (commentId: string, mode: "reply" | "edit" | "flag", initial = "") => {
+    setActiveForm({ commentId, mode });
+    setDraft(initial);
+  };
+
+  const closeForm = () => {
+    setActiveForm(null);
+    setDraft("");
+  };
+
+  const onMutationError = (title: string, fallback: string) => (err: unknown) => {
+    toast({ title, description: errorMessage(err, fallback), variant: "destructive" });
+  };
+
+  const postComment = useMutation({
+    mutationFn: ({ body, parentId }: { body: string; parentId?: string }) =>
+      apiRequest(`/issues/${issueId}/comments`, {
+        method: "POST",
+        body: JSON.stringify({ body, parentId }),
+      }),
+    onSuccess: (_, { parentId }) => {
+      toast({ title: parentId ? "Reply posted" : "Comment added", description: "Your comment has been posted successfully." });
+      if (parentId) closeForm();
+      else setNewComment("");
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: onMutationError("Comment failed", "Unable to post your comment."),
+  });
+
+  const editComment = useMutation({
+    mutationFn: ({ commentId, body }: { commentId: string; body: string }) =>
+      apiRequest(`/issues/${issueId}/comments/${commentId}`, {
+        method: "PUT",
+        body: JSON.stringify({ body }),
+      }),
+    onSuccess: () => {
+      closeForm();
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: onMutationError("Edit failed", "Unable to update your comment."),
+  });
+
+  const deleteComment = useMutation({
+    mutationFn: (commentId: string) =>
+      apiRequest(`/issues/${issueId}/comments/${commentId}`, { method: "DELETE" }),
+    onSuccess: () => {
+      toast({ title: "Comment deleted" });
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: onMutationError("Delete failed", "Unable to delete the comment."),
+  });
+
+  const flagComment = useMutation({
+    mutationFn: ({ commentId, description }: { commentId: string; description: string }) =>
+      apiRequest(`/issues/${issueId}/comments/${commentId}/flag`, {
+        method: "POST",
+        body: JSON.stringify({ reason: flagReason, description }),
+      }),
+    onSuccess: () => {
+      toast({ title: "Comment reported", description: "A moderator will review it." });
+      closeForm();
+    },
+    onError: onMutationError("Report failed", "Unable to report the comment."),
+  });
+
+  const submitForm = (comment: IssueComment) => {
+    const text = draft.trim();
+    if (!activeForm || !text) return;
+
+    if (activeForm.mode === "reply") postComment.mutate({ body: text, parentId: comment.id });
+    if (activeForm.mode === "edit") editComment.mutate({ commentId: comment.id, body: text });
+    if (activeForm.mode === "flag") flagComment.mutate({ commentId: comment.id, description: text });
+  };
+
+  const renderComment = (comment: IssueComment) => {
+    const isFormOpen = activeForm?.commentId === comment.id;
+    const removed = comment.body === null;
+
+    return (
+      <div key={comment.id} className="space-y-3">
+        <div className="flex space-x-3">
+          <Avatar className="h-8 w-8">
+            {comment.author?.avatar && <AvatarImage src={comment.author.avatar} />}
+            <AvatarFallback>{comment.author?.name[0] ?? "?"}</AvatarFallback>
+          </Avatar>
+          <div className="flex-1">
+            <div className="flex items-center space-x-2 mb-1">
+              <span className="font-medium text-foreground text-sm">
+                {comment.author?.name ?? "Deleted comment"}
+              </span>
+              {comment.isOfficial && (
+                <Badge variant="outline" className="text-xs bg-civic-blue/10 text-civic-blue border-civic-blue/30">
+                  Official
+                </Badge>
+              )}
+              {comment.author?.isEmailVerified && !comment.isOfficial && (
+                <Badge variant="outline" className="text-xs bg-civic-green/10 text-civic-green border-civic-green/30">
+                  Verified
+                </Badge>
+              )}
+              {comment.isHidden && !removed && (
+                <Badge variant="outline" className="text-xs text-civic-orange border-civic-orange/30">
+                  Hidden
+                </Badge>
+              )}
+            </div>
+            <p className={`text-sm mb-1 ${removed ? "italic text-muted-foreground/70" : "text-muted-foreground"}`}>
+              {comment.isDeleted
+                ? "This comment was deleted."
+                : removed
+                  ? "This comment was hidden by a moderator."
+                  : comment.body}
+            </p>
+            <div className="flex items-center gap-3 text-xs text-muted-foreground">
+              <span>
+                {new Date(comment.createdAt).toLocaleDateString()}
+                {comment.isEdited && " (edited)"}
+              </span>
+              {!removed && (
+                <button className="flex items-center hover:text-foreground" onClick={() => openForm(comment.id, "reply")}>
+                  <Reply className="h-3 w-3 mr-1" />
+                  Reply
+                </button>
+              )}
+              {comment.canEdit && (
+                <button
+                  className="flex items-center hover:text-foreground"
+                  onClick={() => openForm(comment.id, "edit", comment.body ?? "")}
+                >
+                  <Pencil className="h-3 w-3 mr-1" />
+                  Edit
+                </button>
+              )}
+              {comment.canDelete && (
+                <button
+                  className="flex items-center hover:text-destructive"
+                  onClick={() => deleteComment.mutate(comment.id)}
+                  disabled={deleteComment.isPending}
+                >
+                  <Trash2 className="h-3 w-3 mr-1" />
+                  Delete
+                </button>
+              )}
+              {!removed && !comment.canDelete && (
+                <button className="flex items-center hover:text-foreground" onClick={() => openForm(comment.id, "flag")}>
+                  <Flag className="h-3 w-3 mr-1" />
+                  Report
+                </button>
+              )}
+            </div>
+
+            {isFormOpen && (
+              <div className="mt-3 space-y-2">
+                {activeForm?.mode === "flag" && (
+                  <Select value={flagReason} onValueChange={setFlagReason}>
+                    <SelectTrigger className="bg-background border-border h-8 text-sm">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {FLAG_REASONS.map((reason) => (
+                        <SelectItem key={reason} value={reason}>
+                          {reason}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+                <Textarea
+                  placeholder={activeForm?.mode === "flag" ? "Tell moderators what is wrong (at least 10 characters)" : "Write a reply..."}
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  className="bg-background border-border resize-none"
+                  rows={2}
+                />
+                <div className="flex gap-2">
+                  <Button size="sm" variant="hero" onClick={() => submitForm(comment)} disabled={!draft.trim()}>
+                    {activeForm?.mode === "edit" ? "Save" : activeForm?.mode === "flag" ? "Report" : "Reply"}
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={closeForm}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {comment.replies.length > 0 && (
+          <div className="ml-11 pl-4 border-l border-border space-y-4">
+            {comment.replies.map(renderComment)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card className="bg-card border-border">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <MessageCircle className="h-5 w-5 mr-2 text-primary" />
+          Comments ({data?.total ?? 0})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Add Comment */}
+        <div className="space-y-3">
+          <Textarea
+            placeholder="Add a comment... (verified users only)"
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            className="bg-background border-border resize-none"
+            rows={3}
+          />
+          <Button
+            onClick={() => postComment.mutate({ body: newComment.trim() })}
+            disabled={!newComment.trim() || postComment.isPending}
+            variant="hero"
+            size="sm"
+          >
+            Post Comment
+          </Button>
+        </div>
+
+        {/* Comment List */}
+        {error ? (
+          <p className="text-sm text-destructive">{errorMessage(error, "Unable to load comments.")}</p>
+        ) : isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading comments...</p>
+        ) : data?.comments.length ? (
+          <div className="space-y-4">{data.comments.map(renderComment)}</div>
+        ) : (
+          <p className="text-sm text-muted-foreground">No comments yet. Start the conversation.</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default IssueComments;
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { ApiError, apiRequest, getAccessToken } from "@/lib/api";
+import { RotateCcw } from "lucide-react";
+
+interface DisputeState {
+  canDispute: boolean;
+}
+
+interface DisputeResult {
+  issue: { status: string };
+}
+
+const MIN_COMMENT_LENGTH = 10;
+
+const IssueDisputeButton = ({ issueId }: { issueId: string }) => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const isSignedIn = !!getAccessToken();
+  const queryKey = ["issues", issueId];
+  const [open, setOpen] = useState(false);
+  const [comment, setComment] = useState("");
+  const [photo, setPhoto] = useState<File | null>(null);
+
+  const { data } = useQuery({
+    queryKey,
+    queryFn: () => apiRequest<{ issue: DisputeState }>(`/issues/${issueId}`),
+    enabled: isSignedIn,
+  });
+
+  const dispute = useMutation({
+    mutationFn: () => {
+      const formData = new FormData();
+      formData.append("comment", comment.trim());
+      if (photo) formData.append("photo", photo);
+      return apiRequest<DisputeResult>(`/issues/${issueId}/dispute`, { method: "POST", body: formData });
+    },
+    onSuccess: (result) => {
+      toast({
+        title: "Issue reopened",
+        description: `The issue is back to ${result.issue.status}. Staff have been notified.`,
+      });
+      setOpen(false);
+      setComment("");
+      setPhoto(null);
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (err) => {
+      toast({
+        title: "Dispute failed",
+        description: err instanceof ApiError ? err.message : "Unable to dispute the resolution.",
+        variant: "destructive",
+      });
+    },
+  });
+
+  if (!isSignedIn || !data?.issue.canDispute) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <RotateCcw className="h-4 w-4 mr-2" />
+          Not fixed?
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="bg-card border-border">
+        <DialogHeader>
+          <DialogTitle>Dispute resolution</DialogTitle>
+          <DialogDescription>
+            If the problem is still there, tell the team what is wrong and the issue will be reopened.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div>
+            <Label htmlFor="dispute-comment">What is still wrong?</Label>
+            <Textarea
+              id="dispute-comment"
+              placeholder={`Describe the problem (at least ${MIN_COMMENT_LENGTH} characters)`}
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              maxLength={1000}
+            />
+          </div>
+          <div>
+            <Label htmlFor="dispute-photo">Photo (optional)</Label>
+            <Input
+              id="dispute-photo"
+              type="file"
+              accept="image/*"
+              onChange={(e) => setPhoto(e.target.files?.[0] ?? null)}
+            />
+          </div>
+        </div>
+        <DialogFooter>
+          <Button
+            onClick={() => dispute.mutate()}
+            disabled={comment.trim().length < MIN_COMMENT_LENGTH || dispute.isPending}
+          >
+            Reopen issue
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default IssueDisputeButton;
@@ -0,0 +1,99 @@
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { ApiError, apiRequest } from "@/lib/api";
+import { History } from "lucide-react";
+
+type DiffOp = { op: "equal" | "insert" | "delete"; text: string };
+
+interface IssueRevision {
+  id: string;
+  revision: number;
+  editedBy: { _id: string; name: string; role: "citizen" | "agent" | "admin" } | null;
+  isAnonymous: boolean;
+  reason?: string;
+  changes: { field: "title" | "description" | "address" | "landmark"; diff: DiffOp[] }[];
+  createdAt: string;
+}
+
+const FIELD_LABELS: Record<IssueRevision["changes"][number]["field"], string> = {
+  title: "Title",
+  description: "Description",
+  address: "Address",
+  landmark: "Landmark",
+};
+
+const DiffText = ({ diff }: { diff: DiffOp[] }) => (
+  <p className="text-sm text-muted-foreground whitespace-pre-wrap break-words">
+    {diff.map((part, index) => {
+      if (part.op === "insert") {
+        return (
+          <ins key={index} className="no-underline bg-civic-green/15 text-civic-green rounded-sm">
+            {part.text}
+          </ins>
+        );
+      }
+      if (part.op === "delete") {
+        return (
+          <del key={index} className="bg-destructive/10 text-destructive rounded-sm">
+            {part.text}
+          </del>
+        );
+      }
+      return <span key={index}>{part.text}</span>;
+    })}
+  </p>
+);
+
+const IssueEditHistory = ({ issueId }: { issueId: string }) => {
+  const { data: revisions, isLoading, error } = useQuery({
+    queryKey: ["issues", issueId, "revisions"],
+    queryFn: () => apiRequest<IssueRevision[]>(`/issues/${issueId}/revisions`),
+  });
+
+  if (!error && !isLoading && !revisions?.length) return null;
+
+  return (
+    <Card className="bg-card border-border">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <History className="h-5 w-5 mr-2 text-primary" />
+          Edit History
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <p className="text-sm text-destructive">
+            {error instanceof ApiError ? error.message : "Unable to load the edit history."}
+          </p>
+        ) : isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading edit history...</p>
+        ) : (
+          <div className="space-y-5">
+            {revisions?.map((revision) => (
+              <div key={revision.id} className="space-y-2">
+                <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                  <Badge variant="outline" className="text-xs">
+                    Edit {revision.revision}
+                  </Badge>
+                  <span>
+                    {revision.isAnonymous ? "Anonymous reporter" : revision.editedBy?.name ?? "Unknown"} · {new Date(revision.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {revision.reason && <p className="text-xs italic text-muted-foreground">"{revision.reason}"</p>}
+                {revision.changes.map((change) => (
+                  <div key={change.field}>
+                    <p className="text-xs font-medium text-foreground mb-1">{FIELD_LABELS[change.field]}</p>
+                    <DiffText diff={change.diff} />
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default IssueEditHistory;
@@ -0,0 +1,60 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { ApiError, apiRequest, getAccessToken } from "@/lib/api";
+import { Bell, BellOff } from "lucide-react";
+
+interface FollowState {
+  isFollowing: boolean;
+  followerCount: number;
+}
+
+const IssueFollowButton = ({ issueId }: { issueId: string }) => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const isSignedIn = !!getAccessToken();
+  const queryKey = ["issues", issueId];
+
+  const { data } = useQuery({
+    queryKey,
+    queryFn: () => apiRequest<{ issue: FollowState }>(`/issues/${issueId}`),
+    enabled: isSignedIn,
+  });
+
+  const toggleFollow = useMutation({
+    mutationFn: (follow: boolean) =>
+      apiRequest<FollowState>(`/issues/${issueId}/follow`, { method: follow ? "POST" : "DELETE" }),
+    onSuccess: (state) => {
+      toast({
+        title: state.isFollowing ? "Following issue" : "Unfollowed issue",
+        description: state.isFollowing ? "You'll be notified when this issue changes." : undefined,
+      });
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (err) => {
+      toast({
+        title: "Update failed",
+        description: err instanceof ApiError ? err.message : "Unable to update your follow settings.",
+        variant: "destructive",
+      });
+    },
+  });
+
+  if (!isSignedIn || !data) return null;
+
+  const { isFollowing, followerCount } = data.issue;
+
+  return (
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={() => toggleFollow.mutate(!isFollowing)}
+      disabled={toggleFollow.isPending}
+    >
+      {isFollowing ? <BellOff className="h-4 w-4 mr-2" /> : <Bell className="h-4 w-4 mr-2" />}
+      {isFollowing ? "Unfollow" : "Follow"} ({followerCount})
+    </Button>
+  );
+};
+
+export default IssueFollowButton;
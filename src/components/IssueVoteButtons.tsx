@@ -0,0 +1,90 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { ApiError, apiRequest, getAccessToken } from "@/lib/api";
+import { ThumbsUp, ThumbsDown, Users } from "lucide-react";
+
+type VoteType = "up" | "down" | "confirm";
+
+interface VoteState {
+  upvotes: number;
+  downvotes: number;
+  confirmations: number;
+  userVote: VoteType | null;
+}
+
+const VOTE_ACTIONS: Record<VoteType, string> = {
+  up: "upvote",
+  down: "downvote",
+  confirm: "confirm",
+};
+
+const IssueVoteButtons = ({ issueId }: { issueId: string }) => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const isSignedIn = !!getAccessToken();
+  const queryKey = ["issues", issueId];
+
+  const { data } = useQuery({
+    queryKey,
+    queryFn: () => apiRequest<{ issue: VoteState }>(`/issues/${issueId}`),
+  });
+
+  const vote = useMutation({
+    mutationFn: (type: VoteType) =>
+      apiRequest<VoteState>(`/issues/${issueId}/vote`, {
+        method: "POST",
+        // Choosing the current vote again withdraws it
+        body: JSON.stringify({ action: data?.issue.userVote === type ? "remove" : VOTE_ACTIONS[type] }),
+      }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey }),
+    onError: (err) => {
+      toast({
+        title: "Vote failed",
+        description: err instanceof ApiError ? err.message : "Unable to record your vote.",
+        variant: "destructive",
+      });
+    },
+  });
+
+  if (!data) return null;
+
+  const { upvotes, downvotes, confirmations, userVote } = data.issue;
+  const disabled = !isSignedIn || vote.isPending;
+
+  return (
+    <div className="flex items-center space-x-2">
+      <Button
+        variant={userVote === "confirm" ? "default" : "outline"}
+        size="sm"
+        onClick={() => vote.mutate("confirm")}
+        disabled={disabled}
+        title="This affects me too"
+      >
+        <Users className="h-4 w-4 mr-1" />
+        Me too {confirmations}
+      </Button>
+      <Button
+        variant={userVote === "up" ? "default" : "outline"}
+        size="sm"
+        onClick={() => vote.mutate("up")}
+        disabled={disabled}
+        className={userVote === "up" ? "bg-civic-green hover:bg-civic-green/90" : ""}
+      >
+        <ThumbsUp className="h-4 w-4 mr-1" />
+        {upvotes}
+      </Button>
+      <Button
+        variant={userVote === "down" ? "destructive" : "outline"}
+        size="sm"
+        onClick={() => vote.mutate("down")}
+        disabled={disabled}
+      >
+        <ThumbsDown className="h-4 w-4 mr-1" />
+        {downvotes}
+      </Button>
+    </div>
+  );
+};
+
+export default IssueVoteButtons;
@@ -0,0 +1,116 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { ApiError, apiRequest, getAccessToken } from "@/lib/api";
+import { Bell } from "lucide-react";
+
+interface IssueNotification {
+  id: string;
+  type: "issue.status" | "issue.comment" | "issue.merged" | "issue.hidden";
+  issueId: { _id: string; title: string; status: string } | null;
+  message: string;
+  isRead: boolean;
+  createdAt: string;
+}
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const isSignedIn = !!getAccessToken();
+
+  const { data: unread } = useQuery({
+    queryKey: ["notifications", "unread-count"],
+    queryFn: () => apiRequest<{ unreadCount: number }>("/notifications/unread-count"),
+    enabled: isSignedIn,
+    refetchInterval: 60000,
+  });
+
+  const { data: notifications, isLoading, error } = useQuery({
+    queryKey: ["notifications", "latest"],
+    queryFn: () => apiRequest<IssueNotification[]>("/notifications?limit=10"),
+    enabled: isSignedIn,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ["notifications"] });
+
+  const markRead = useMutation({
+    mutationFn: (id: string) => apiRequest(`/notifications/${id}/read`, { method: "PUT" }),
+    onSuccess: refresh,
+  });
+
+  const markAllRead = useMutation({
+    mutationFn: () => apiRequest("/notifications/read-all", { method: "PUT" }),
+    onSuccess: refresh,
+  });
+
+  if (!isSignedIn) return null;
+
+  const unreadCount = unread?.unreadCount ?? 0;
+
+  const openNotification = (notification: IssueNotification) => {
+    if (!notification.isRead) markRead.mutate(notification.id);
+    if (notification.issueId) navigate(`/issue/${notification.issueId._id}`);
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" size="sm" className="relative" aria-label="Notifications">
+          <Bell className="h-4 w-4" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-destructive text-destructive-foreground text-[10px] leading-4">
+              {unreadCount > 99 ? "99+" : unreadCount}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 p-0">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-border">
+          <span className="text-sm font-medium text-foreground">Notifications</span>
+          {unreadCount > 0 && (
+            <button
+              className="text-xs text-muted-foreground hover:text-foreground"
+              onClick={() => markAllRead.mutate()}
+              disabled={markAllRead.isPending}
+            >
+              Mark all as read
+            </button>
+          )}
+        </div>
+        <div className="max-h-96 overflow-y-auto">
+          {error ? (
+            <p className="px-4 py-3 text-sm text-destructive">
+              {error instanceof ApiError ? error.message : "Unable to load notifications."}
+            </p>
+          ) : isLoading ? (
+            <p className="px-4 py-3 text-sm text-muted-foreground">Loading notifications...</p>
+          ) : notifications?.length ? (
+            notifications.map((notification) => (
+              <button
+                key={notification.id}
+                className={`w-full text-left px-4 py-3 border-b border-border last:border-0 hover:bg-muted/50 ${
+                  notification.isRead ? "" : "bg-primary/5"
+                }`}
+                onClick={() => openNotification(notification)}
+              >
+                <p className={`text-sm ${notification.isRead ? "text-muted-foreground" : "text-foreground"}`}>
+                  {notification.message}
+                </p>
+                <p className="text-xs text-muted-foreground mt-1">
+                  {new Date(notification.createdAt).toLocaleString()}
+                </p>
+              </button>
+            ))
+          ) : (
+            <p className="px-4 py-3 text-sm text-muted-foreground">
+              Nothing yet. Follow an issue to hear when it changes.
+            </p>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default NotificationBell;
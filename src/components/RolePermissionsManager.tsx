@@ -0,0 +1,159 @@
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { useToast } from "@/hooks/use-toast";
+import { ApiError, apiRequest } from "@/lib/api";
+import { KeyRound } from "lucide-react";
+
+type Role = "citizen" | "agent" | "admin";
+
+interface PermissionDefinition {
+  key: string;
+  group: string;
+  description: string;
+  protectedForAdmin: boolean;
+}
+
+interface RolePermissionsResponse {
+  permissions: PermissionDefinition[];
+  roles: Record<Role, string[]>;
+}
+
+const ROLES: Role[] = ["citizen", "agent", "admin"];
+
+const RolePermissionsManager = () => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState<Record<Role, string[]> | null>(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["admin", "permissions"],
+    queryFn: () => apiRequest<RolePermissionsResponse>("/admin/permissions"),
+  });
+
+  useEffect(() => {
+    if (data) setDraft(data.roles);
+  }, [data]);
+
+  const saveRole = useMutation({
+    mutationFn: (role: Role) =>
+      apiRequest(`/admin/permissions/${role}`, {
+        method: "PUT",
+        body: JSON.stringify({ permissions: draft?.[role] ?? [] }),
+      }),
+    onSuccess: (_, role) => {
+      toast({ title: "Permissions saved", description: `Updated the ${role} role.` });
+      queryClient.invalidateQueries({ queryKey: ["admin", "permissions"] });
+    },
+    onError: (err) => {
+      const message = err instanceof ApiError ? err.message : "Unable to save permissions.";
+      toast({ title: "Save failed", description: message, variant: "destructive" });
+    },
+  });
+
+  const groups = useMemo(() => {
+    const byGroup = new Map<string, PermissionDefinition[]>();
+    data?.permissions.forEach((permission) => {
+      byGroup.set(permission.group, [...(byGroup.get(permission.group) ?? []), permission]);
+    });
+    return Array.from(byGroup.entries());
+  }, [data]);
+
+  const togglePermission = (role: Role, key: string, checked: boolean) => {
+    setDraft((current) => {
+      if (!current) return current;
+      const permissions = checked
+        ? [...current[role], key]
+        : current[role].filter((permission) => permission !== key);
+      return { ...current, [role]: permissions };
+    });
+  };
+
+  const isDirty = (role: Role) => {
+    if (!data || !draft) return false;
+    const saved = new Set(data.roles[role]);
+    return saved.size !== draft[role].length || draft[role].some((permission) => !saved.has(permission));
+  };
+
+  if (error) {
+    return <p className="text-sm text-destructive">Unable to load permissions.</p>;
+  }
+
+  if (isLoading || !draft) {
+    return <p className="text-sm text-muted-foreground">Loading permissions...</p>;
+  }
+
+  return (
+    <Card className="bg-card border-border">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <KeyRound className="h-5 w-5 mr-2 text-primary" />
+          Role Permissions
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-border">
+                <th className="text-left py-2 pr-4 font-medium text-muted-foreground">Permission</th>
+                {ROLES.map((role) => (
+                  <th key={role} className="py-2 px-4 font-medium text-muted-foreground capitalize">
+                    {role}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(([group, permissions]) => (
+                <Fragment key={group}>
+                  <tr>
+                    <td colSpan={ROLES.length + 1} className="pt-4 pb-1 font-semibold text-foreground">
+                      {group}
+                    </td>
+                  </tr>
+                  {permissions.map((permission) => (
+                    <tr key={permission.key} className="border-b border-border last:border-0">
+                      <td className="py-2 pr-4">
+                        <p className="font-mono text-xs text-foreground">{permission.key}</p>
+                        <p className="text-xs text-muted-foreground">{permission.description}</p>
+                      </td>
+                      {ROLES.map((role) => (
+                        <td key={role} className="py-2 px-4 text-center">
+                          <Checkbox
+                            aria-label={`${permission.key} for ${role}`}
+                            checked={draft[role].includes(permission.key)}
+                            disabled={role === "admin" && permission.protectedForAdmin}
+                            onCheckedChange={(checked) => togglePermission(role, permission.key, checked === true)}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-2 mt-6">
+          {ROLES.map((role) => (
+            <Button
+              key={role}
+              size="sm"
+              variant={isDirty(role) ? "default" : "outline"}
+              disabled={!isDirty(role) || saveRole.isPending}
+              onClick={() => saveRole.mutate(role)}
+            >
+              Save {role}
+            </Button>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RolePermissionsManager;
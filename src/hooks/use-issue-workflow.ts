@@ -0,0 +1,17 @@
+import { useQuery } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/api";
+import type { IssueWorkflow } from "@/lib/issueStatus";
+
+export function useIssueWorkflow() {
+  const { data } = useQuery({
+    queryKey: ["issues", "workflow"],
+    queryFn: () => apiRequest<IssueWorkflow>("/issues/workflow"),
+    staleTime: Infinity,
+  });
+
+  return {
+    statuses: data?.statuses ?? [],
+    openStatuses: data?.openStatuses ?? [],
+    resolvedStatuses: data?.resolvedStatuses ?? [],
+  };
+}
@@ -0,0 +1,67 @@
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+const ACCESS_TOKEN_KEY = "civicflow.token";
+const REFRESH_TOKEN_KEY = "civicflow.refreshToken";
+export const TWO_FACTOR_CHALLENGE_KEY = "civicflow.twoFactorChallenge";
+
+export interface ApiResponse<T> {
+  success: boolean;
+  message: string;
+  data: T;
+  errors?: { field?: string; message: string }[] | null;
+  statusCode: number;
+}
+
+export class ApiError extends Error {
+  statusCode: number;
+  errors: ApiResponse<unknown>["errors"];
+  data: unknown;
+
+  constructor(message: string, statusCode: number, errors: ApiResponse<unknown>["errors"] = null, data: unknown = null) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+export interface AuthTokens {
+  token: string;
+  refreshToken: string;
+}
+
+export function getAccessToken() {
+  return localStorage.getItem(ACCESS_TOKEN_KEY);
+}
+
+export function storeAuthTokens({ token, refreshToken }: AuthTokens) {
+  localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export function clearAuthTokens() {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+export async function apiRequest<T>(path: string, options: RequestInit = {}): Promise<T> {
+  const headers = new Headers(options.headers);
+  const token = getAccessToken();
+
+  if (token && !headers.has("Authorization")) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+  if (options.body && !(options.body instanceof FormData) && !headers.has("Content-Type")) {
+    headers.set("Content-Type", "application/json");
+  }
+
+  const response = await fetch(`${API_URL}${path}`, { ...options, headers });
+  const payload = (await response.json()) as ApiResponse<T>;
+
+  if (!response.ok || !payload.success) {
+    throw new ApiError(payload.message || "Request failed", response.status, payload.errors, payload.data ?? null);
+  }
+
+  return payload.data;
+}
@@ -0,0 +1,21 @@
+export interface IssueWorkflow {
+  statuses: string[];
+  openStatuses: string[];
+  resolvedStatuses: string[];
+  transitions: { from: string; to: string; roles: string[]; requires: string[]; via: string | null }[];
+}
+
+// Badge colours by status; the statuses themselves come from GET /issues/workflow
+const STATUS_COLORS: Record<string, string> = {
+  Reported: "bg-civic-orange/20 text-civic-orange border-civic-orange/30",
+  Assigned: "bg-civic-blue/20 text-civic-blue border-civic-blue/30",
+  "In Progress": "bg-civic-purple/20 text-civic-purple border-civic-purple/30",
+  "On Hold": "bg-civic-orange/10 text-civic-orange border-civic-orange/20",
+  Resolved: "bg-civic-green/20 text-civic-green border-civic-green/30",
+  Closed: "bg-civic-green/10 text-civic-green border-civic-green/20",
+  Rejected: "bg-destructive/20 text-destructive border-destructive/30",
+};
+
+export function getStatusColor(status: string) {
+  return STATUS_COLORS[status] ?? "bg-muted text-muted-foreground";
+}
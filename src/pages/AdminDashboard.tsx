@@ -25,9 +25,13 @@ import {
   Flag
 } from "lucide-react";
 import { Link } from "react-router-dom";
+import RolePermissionsManager from "@/components/RolePermissionsManager";
+import { useIssueWorkflow } from "@/hooks/use-issue-workflow";
+import { getStatusColor } from "@/lib/issueStatus";
 
 const AdminDashboard = () => {
   const [selectedStatus, setSelectedStatus] = useState("all");
+  const { statuses } = useIssueWorkflow();
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [selectedAssignee, setSelectedAssignee] = useState("all");
 
@@ -43,7 +47,7 @@ const AdminDashboard = () => {
       id: 1,
       title: "Pothole on Main Street",
       category: "roads",
-      status: "in_progress",
+      status: "In Progress",
       priority: "high",
       reportedBy: "Sarah Johnson",
       assignedTo: "John Maintenance",
@@ -55,7 +59,7 @@ const AdminDashboard = () => {
       id: 2,
       title: "Broken Street Light",
       category: "lighting",
-      status: "assigned",
+      status: "Assigned",
       priority: "medium",
       reportedBy: "Mike Chen",
       assignedTo: "Electric Crew A",
@@ -67,7 +71,7 @@ const AdminDashboard = () => {
       id: 3,
       title: "Graffiti on Building Wall",
       category: "vandalism",
-      status: "reported",
+      status: "Reported",
       priority: "low",
       reportedBy: "Anonymous",
       assignedTo: null,
@@ -79,7 +83,7 @@ const AdminDashboard = () => {
       id: 4,
       title: "Damaged Playground Equipment",
       category: "parks",
-      status: "flagged",
+      status: "Reported",
       priority: "high",
       reportedBy: "Parent Community",
       assignedTo: null,
@@ -115,17 +119,6 @@ const AdminDashboard = () => {
     { name: "Waste Management", activeIssues: 12, avgResolutionTime: "1.2 days" }
   ];
 
-  const getStatusColor = (status: string) => {
-    switch (status) {
-      case "reported": return "bg-civic-orange/20 text-civic-orange border-civic-orange/30";
-      case "assigned": return "bg-civic-blue/20 text-civic-blue border-civic-blue/30";
-      case "in_progress": return "bg-civic-purple/20 text-civic-purple border-civic-purple/30";
-      case "resolved": return "bg-civic-green/20 text-civic-green border-civic-green/30";
-      case "flagged": return "bg-destructive/20 text-destructive border-destructive/30";
-      default: return "bg-muted text-muted-foreground";
-    }
-  };
-
   const getPriorityColor = (priority: string) => {
     switch (priority) {
       case "high": return "text-destructive";
@@ -186,11 +179,12 @@ const AdminDashboard = () => {
 
         {/* Main Content Tabs */}
         <Tabs defaultValue="issues" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-4 lg:w-fit">
+          <TabsList className="grid w-full grid-cols-5 lg:w-fit">
             <TabsTrigger value="issues">All Issues</TabsTrigger>
             <TabsTrigger value="flagged">Flagged Reports</TabsTrigger>
             <TabsTrigger value="analytics">Analytics</TabsTrigger>
             <TabsTrigger value="teams">Teams</TabsTrigger>
+            <TabsTrigger value="permissions">Permissions</TabsTrigger>
           </TabsList>
 
           {/* Issues Tab */}
@@ -219,11 +213,9 @@ const AdminDashboard = () => {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectItem value="all">All Statuses</SelectItem>
-                      <SelectItem value="reported">Reported</SelectItem>
-                      <SelectItem value="assigned">Assigned</SelectItem>
-                      <SelectItem value="in_progress">In Progress</SelectItem>
-                      <SelectItem value="resolved">Resolved</SelectItem>
-                      <SelectItem value="flagged">Flagged</SelectItem>
+                      {statuses.map((status) => (
+                        <SelectItem key={status} value={status}>{status}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
 
@@ -269,7 +261,7 @@ const AdminDashboard = () => {
                         <div className="flex items-center gap-2 mb-2">
                           <h3 className="font-semibold text-foreground">#{issue.id.toString().padStart(3, '0')} {issue.title}</h3>
                           <Badge className={getStatusColor(issue.status)}>
-                            {issue.status.replace('_', ' ').toUpperCase()}
+                            {issue.status.toUpperCase()}
                           </Badge>
                           <Badge variant="outline" className={`${getPriorityColor(issue.priority)} border-current`}>
                             {issue.priority.toUpperCase()}
@@ -315,10 +307,9 @@ const AdminDashboard = () => {
                                     <SelectValue />
                                   </SelectTrigger>
                                   <SelectContent>
-                                    <SelectItem value="reported">Reported</SelectItem>
-                                    <SelectItem value="assigned">Assigned</SelectItem>
-                                    <SelectItem value="in_progress">In Progress</SelectItem>
-                                    <SelectItem value="resolved">Resolved</SelectItem>
+                                    {statuses.map((status) => (
+                                      <SelectItem key={status} value={status}>{status}</SelectItem>
+                                    ))}
                                   </SelectContent>
                                 </Select>
                               </div>
@@ -488,6 +479,11 @@ const AdminDashboard = () => {
               ))}
             </div>
           </TabsContent>
+
+          {/* Permissions Tab */}
+          <TabsContent value="permissions" className="space-y-6">
+            <RolePermissionsManager />
+          </TabsContent>
         </Tabs>
       </div>
     </div>
@@ -6,11 +6,15 @@ import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { MapPin, Plus, Filter, ThumbsUp, Clock, CheckCircle, AlertTriangle, Camera, Search } from "lucide-react";
 import { Link } from "react-router-dom";
+import NotificationBell from "@/components/NotificationBell";
+import { useIssueWorkflow } from "@/hooks/use-issue-workflow";
+import { getStatusColor } from "@/lib/issueStatus";
 
 const Dashboard = () => {
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [selectedDistance, setSelectedDistance] = useState("5km");
   const [selectedStatus, setSelectedStatus] = useState("all");
+  const { statuses } = useIssueWorkflow();
 
   const categories = [
     { value: "all", label: "All Categories" },
@@ -27,7 +31,7 @@ const Dashboard = () => {
       title: "Pothole on Main Street",
       description: "Large pothole causing traffic issues near the intersection",
       category: "roads",
-      status: "in_progress",
+      status: "In Progress",
       upvotes: 23,
       location: "Main St & 5th Ave",
       timeAgo: "2 hours ago",
@@ -39,7 +43,7 @@ const Dashboard = () => {
       title: "Broken Street Light",
       description: "Street light has been out for a week, making the area unsafe at night",
       category: "lighting",
-      status: "reported",
+      status: "Reported",
       upvotes: 15,
       location: "Park Avenue",
       timeAgo: "1 day ago",
@@ -51,7 +55,7 @@ const Dashboard = () => {
       title: "Overflowing Garbage Bin",
       description: "Public bin overflowing, attracting pests and creating smell",
       category: "waste",
-      status: "resolved",
+      status: "Resolved",
       upvotes: 8,
       location: "Downtown Plaza",
       timeAgo: "3 days ago",
@@ -63,7 +67,7 @@ const Dashboard = () => {
       title: "Damaged Playground Equipment",
       description: "Swing set chains are broken, potentially dangerous for children",
       category: "parks",
-      status: "assigned",
+      status: "Assigned",
       upvotes: 34,
       location: "Central Park",
       timeAgo: "5 hours ago",
@@ -72,22 +76,14 @@ const Dashboard = () => {
     }
   ];
 
-  const getStatusColor = (status: string) => {
-    switch (status) {
-      case "reported": return "bg-civic-orange/20 text-civic-orange border-civic-orange/30";
-      case "assigned": return "bg-civic-blue/20 text-civic-blue border-civic-blue/30";
-      case "in_progress": return "bg-civic-purple/20 text-civic-purple border-civic-purple/30";
-      case "resolved": return "bg-civic-green/20 text-civic-green border-civic-green/30";
-      default: return "bg-muted text-muted-foreground";
-    }
-  };
-
   const getStatusIcon = (status: string) => {
     switch (status) {
-      case "reported": return <AlertTriangle className="h-3 w-3" />;
-      case "assigned": return <Clock className="h-3 w-3" />;
-      case "in_progress": return <Clock className="h-3 w-3" />;
-      case "resolved": return <CheckCircle className="h-3 w-3" />;
+      case "Reported": return <AlertTriangle className="h-3 w-3" />;
+      case "Assigned":
+      case "In Progress":
+      case "On Hold": return <Clock className="h-3 w-3" />;
+      case "Resolved":
+      case "Closed": return <CheckCircle className="h-3 w-3" />;
       default: return null;
     }
   };
@@ -114,6 +110,7 @@ const Dashboard = () => {
               </Link>
             </div>
             <div className="flex items-center space-x-4">
+              <NotificationBell />
               <Link to="/admin">
                 <Button variant="ghost" size="sm">
                   Admin Portal
@@ -221,10 +218,9 @@ const Dashboard = () => {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectItem value="all">All Statuses</SelectItem>
-                      <SelectItem value="reported">Reported</SelectItem>
-                      <SelectItem value="assigned">Assigned</SelectItem>
-                      <SelectItem value="in_progress">In Progress</SelectItem>
-                      <SelectItem value="resolved">Resolved</SelectItem>
+                      {statuses.map((status) => (
+                        <SelectItem key={status} value={status}>{status}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                 </div>
@@ -293,7 +289,7 @@ const Dashboard = () => {
                       <div className="flex items-center justify-between">
                         <Badge className={getStatusColor(issue.status)}>
                           {getStatusIcon(issue.status)}
-                          <span className="ml-1 capitalize">{issue.status.replace('_', ' ')}</span>
+                          <span className="ml-1">{issue.status}</span>
                         </Badge>
                         
                         <Button variant="ghost" size="sm" className="text-muted-foreground hover:text-primary">
@@ -1,28 +1,25 @@
-import { useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { Textarea } from "@/components/ui/textarea";
-import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import { MapPin, Camera, ThumbsUp, ThumbsDown, Flag, ArrowLeft, Clock, CheckCircle, User, MessageCircle, Share2 } from "lucide-react";
-import { Link } from "react-router-dom";
-import { useToast } from "@/hooks/use-toast";
+import { MapPin, Camera, Flag, ArrowLeft, Clock, CheckCircle, User, Share2 } from "lucide-react";
+import { Link, useParams } from "react-router-dom";
+import IssueComments from "@/components/IssueComments";
+import IssueEditHistory from "@/components/IssueEditHistory";
+import IssueFollowButton from "@/components/IssueFollowButton";
+import IssueVoteButtons from "@/components/IssueVoteButtons";
+import IssueDisputeButton from "@/components/IssueDisputeButton";
+import { getStatusColor } from "@/lib/issueStatus";
 
 const IssueDetail = () => {
-  const [upvoted, setUpvoted] = useState(false);
-  const [downvoted, setDownvoted] = useState(false);
-  const [newComment, setNewComment] = useState("");
-  const { toast } = useToast();
+  const { id } = useParams<{ id: string }>();
 
   const issue = {
     id: 1,
     title: "Pothole on Main Street causing traffic issues",
     description: "There's a large pothole on Main Street near the intersection with 5th Avenue. It's been there for over a week and is causing cars to swerve dangerously. The hole is about 3 feet wide and quite deep. Multiple vehicles have already suffered tire damage.",
     category: "roads",
-    status: "in_progress",
+    status: "In Progress",
     priority: "high",
-    upvotes: 23,
-    downvotes: 2,
     location: "Main St & 5th Ave",
     reportedBy: "Sarah Johnson",
     reportedAt: "2024-01-15T10:30:00Z",
@@ -38,7 +35,7 @@ const IssueDetail = () => {
   const timeline = [
     {
       id: 1,
-      type: "reported",
+      type: "Reported",
       title: "Issue Reported",
       description: "Pothole reported by citizen",
       timestamp: "2024-01-15T10:30:00Z",
@@ -47,7 +44,7 @@ const IssueDetail = () => {
     },
     {
       id: 2,
-      type: "assigned",
+      type: "Assigned",
       title: "Assigned to Department",
       description: "Issue assigned to Public Works Department",
       timestamp: "2024-01-16T09:15:00Z",
@@ -56,7 +53,7 @@ const IssueDetail = () => {
     },
     {
       id: 3,
-      type: "in_progress",
+      type: "In Progress",
       title: "Work Started",
       description: "Repair crew dispatched to location",
       timestamp: "2024-01-17T14:20:00Z",
@@ -65,60 +62,6 @@ const IssueDetail = () => {
     }
   ];
 
-  const comments = [
-    {
-      id: 1,
-      user: "Mike Chen",
-      avatar: "/api/placeholder/32/32",
-      comment: "I drive this route daily and can confirm this is a serious hazard. Thanks for reporting!",
-      timestamp: "2024-01-16T08:45:00Z",
-      isVerified: true
-    },
-    {
-      id: 2,
-      user: "Public Works",
-      avatar: "/api/placeholder/32/32",
-      comment: "We've received the report and have scheduled this for repair. Expected completion by Friday.",
-      timestamp: "2024-01-16T11:30:00Z",
-      isOfficial: true
-    }
-  ];
-
-  const handleVote = (type: 'up' | 'down') => {
-    if (type === 'up') {
-      setUpvoted(!upvoted);
-      if (downvoted) setDownvoted(false);
-    } else {
-      setDownvoted(!downvoted);
-      if (upvoted) setUpvoted(false);
-    }
-    
-    toast({
-      title: `${type === 'up' ? 'Upvoted' : 'Downvoted'} issue`,
-      description: "Thank you for your feedback!"
-    });
-  };
-
-  const handleComment = () => {
-    if (!newComment.trim()) return;
-    
-    toast({
-      title: "Comment added",
-      description: "Your comment has been posted successfully."
-    });
-    setNewComment("");
-  };
-
-  const getStatusColor = (status: string) => {
-    switch (status) {
-      case "reported": return "bg-civic-orange/20 text-civic-orange border-civic-orange/30";
-      case "assigned": return "bg-civic-blue/20 text-civic-blue border-civic-blue/30";
-      case "in_progress": return "bg-civic-purple/20 text-civic-purple border-civic-purple/30";
-      case "resolved": return "bg-civic-green/20 text-civic-green border-civic-green/30";
-      default: return "bg-muted text-muted-foreground";
-    }
-  };
-
   const getPriorityColor = (priority: string) => {
     switch (priority) {
       case "high": return "text-destructive border-destructive/30 bg-destructive/10";
@@ -141,6 +84,8 @@ const IssueDetail = () => {
               </Link>
             </div>
             <div className="flex items-center space-x-4">
+              {id && <IssueDisputeButton issueId={id} />}
+              {id && <IssueFollowButton issueId={id} />}
               <Button variant="ghost" size="sm">
                 <Share2 className="h-4 w-4 mr-2" />
                 Share
@@ -167,7 +112,7 @@ const IssueDetail = () => {
                     <div className="flex items-center gap-2 mb-3">
                       <Badge className={getStatusColor(issue.status)}>
                         <Clock className="h-3 w-3 mr-1" />
-                        {issue.status.replace('_', ' ').toUpperCase()}
+                        {issue.status.toUpperCase()}
                       </Badge>
                       <Badge variant="outline" className={getPriorityColor(issue.priority)}>
                         {issue.priority.toUpperCase()} PRIORITY
@@ -175,25 +120,7 @@ const IssueDetail = () => {
                     </div>
                   </div>
                   
-                  <div className="flex items-center space-x-2">
-                    <Button
-                      variant={upvoted ? "default" : "outline"}
-                      size="sm"
-                      onClick={() => handleVote('up')}
-                      className={upvoted ? "bg-civic-green hover:bg-civic-green/90" : ""}
-                    >
-                      <ThumbsUp className="h-4 w-4 mr-1" />
-                      {issue.upvotes + (upvoted ? 1 : 0)}
-                    </Button>
-                    <Button
-                      variant={downvoted ? "destructive" : "outline"}
-                      size="sm"
-                      onClick={() => handleVote('down')}
-                    >
-                      <ThumbsDown className="h-4 w-4 mr-1" />
-                      {issue.downvotes + (downvoted ? 1 : 0)}
-                    </Button>
-                  </div>
+                  {id && <IssueVoteButtons issueId={id} />}
                 </div>
 
                 <p className="text-muted-foreground mb-4 leading-relaxed">{issue.description}</p>
@@ -240,66 +167,11 @@ const IssueDetail = () => {
               </CardContent>
             </Card>
 
-            {/* Comments */}
-            <Card className="bg-card border-border">
-              <CardHeader>
-                <CardTitle className="flex items-center">
-                  <MessageCircle className="h-5 w-5 mr-2 text-primary" />
-                  Comments ({comments.length})
-                </CardTitle>
-              </CardHeader>
-              <CardContent className="space-y-6">
-                {/* Add Comment */}
-                <div className="space-y-3">
-                  <Textarea
-                    placeholder="Add a comment... (verified users only)"
-                    value={newComment}
-                    onChange={(e) => setNewComment(e.target.value)}
-                    className="bg-background border-border resize-none"
-                    rows={3}
-                  />
-                  <Button 
-                    onClick={handleComment}
-                    disabled={!newComment.trim()}
-                    variant="hero"
-                    size="sm"
-                  >
-                    Post Comment
-                  </Button>
-                </div>
+            {/* Edit History */}
+            {id && <IssueEditHistory issueId={id} />}
 
-                {/* Comment List */}
-                <div className="space-y-4">
-                  {comments.map((comment) => (
-                    <div key={comment.id} className="flex space-x-3">
-                      <Avatar className="h-8 w-8">
-                        <AvatarImage src={comment.avatar} />
-                        <AvatarFallback>{comment.user[0]}</AvatarFallback>
-                      </Avatar>
-                      <div className="flex-1">
-                        <div className="flex items-center space-x-2 mb-1">
-                          <span className="font-medium text-foreground text-sm">{comment.user}</span>
-                          {comment.isOfficial && (
-                            <Badge variant="outline" className="text-xs bg-civic-blue/10 text-civic-blue border-civic-blue/30">
-                              Official
-                            </Badge>
-                          )}
-                          {comment.isVerified && (
-                            <Badge variant="outline" className="text-xs bg-civic-green/10 text-civic-green border-civic-green/30">
-                              Verified
-                            </Badge>
-                          )}
-                        </div>
-                        <p className="text-sm text-muted-foreground mb-1">{comment.comment}</p>
-                        <span className="text-xs text-muted-foreground">
-                          {new Date(comment.timestamp).toLocaleDateString()}
-                        </span>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </CardContent>
-            </Card>
+            {/* Comments */}
+            {id && <IssueComments issueId={id} />}
           </div>
 
           {/* Sidebar */}
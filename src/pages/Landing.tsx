@@ -49,8 +49,8 @@ const Landing = () => {
               <Link to="/report" className="text-muted-foreground hover:text-foreground transition-colors">
                 Report Issue
               </Link>
-              <Button variant="hero" size="sm">
-                Get Started
+              <Button asChild variant="hero" size="sm">
+                <Link to="/login">Sign In</Link>
               </Button>
             </div>
           </div>
@@ -0,0 +1,118 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { MapPin, LogIn, Loader2, ArrowLeft } from "lucide-react";
+import { Link, useNavigate } from "react-router-dom";
+import { useToast } from "@/hooks/use-toast";
+import { apiRequest, storeAuthTokens, ApiError, TWO_FACTOR_CHALLENGE_KEY } from "@/lib/api";
+
+type LoginResult =
+  | { twoFactorRequired: true; challengeToken: string }
+  | {
+      token: string;
+      refreshToken: string;
+      user: { role: "citizen" | "agent" | "admin" };
+    };
+
+const Login = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    try {
+      const result = await apiRequest<LoginResult>("/auth/login", {
+        method: "POST",
+        body: JSON.stringify({ email: email.trim(), password }),
+      });
+
+      // Accounts with two-factor finish signing in on the verification page
+      if ("challengeToken" in result) {
+        sessionStorage.setItem(TWO_FACTOR_CHALLENGE_KEY, result.challengeToken);
+        navigate("/login/2fa", { state: { challengeToken: result.challengeToken } });
+        return;
+      }
+
+      storeAuthTokens(result);
+      navigate(result.user.role === "citizen" ? "/dashboard" : "/admin", { replace: true });
+    } catch (error) {
+      const message = error instanceof ApiError ? error.message : "Could not sign in";
+      toast({ title: "Sign in failed", description: message, variant: "destructive" });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background flex flex-col">
+      {/* Header */}
+      <header className="bg-card border-b border-border">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <Link to="/" className="flex items-center text-muted-foreground hover:text-foreground transition-colors">
+              <ArrowLeft className="h-5 w-5 mr-2" />
+              Back
+            </Link>
+            <div className="flex items-center">
+              <MapPin className="h-6 w-6 text-primary mr-2" />
+              <span className="text-xl font-bold text-foreground">CivicFlow</span>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 flex items-center justify-center px-4 py-12">
+        <Card className="w-full max-w-md bg-card border-border">
+          <CardHeader className="text-center">
+            <div className="mx-auto mb-2 flex h-12 w-12 items-center justify-center rounded-full bg-primary/10">
+              <LogIn className="h-6 w-6 text-primary" />
+            </div>
+            <CardTitle>Sign In</CardTitle>
+            <CardDescription>Sign in to report and follow issues in your area.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email"
+                autoComplete="email"
+                required
+                className="bg-background border-border"
+              />
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                required
+                className="bg-background border-border"
+              />
+
+              <Button type="submit" className="w-full" disabled={isSubmitting}>
+                {isSubmitting ? (
+                  <>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Signing in...
+                  </>
+                ) : (
+                  "Sign In"
+                )}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -6,25 +6,56 @@ import { Textarea } from "@/components/ui/textarea";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Checkbox } from "@/components/ui/checkbox";
 import { MapPin, Camera, Upload, Loader2, ArrowLeft, X } from "lucide-react";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useToast } from "@/hooks/use-toast";
+import { ApiError, apiRequest } from "@/lib/api";
+
+interface DuplicateCandidate {
+  id: string;
+  title: string;
+  status: string;
+  address?: string;
+  upvotes: number;
+  confirmations: number;
+  userVote: "up" | "down" | "confirm" | null;
+  distance: number;
+}
+
+interface ReportResult {
+  issue: { id: string };
+}
+
+const getCurrentPosition = () =>
+  new Promise<GeolocationPosition>((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Geolocation is not supported by this browser"));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 10000 });
+  });
 
 const ReportIssue = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [address, setAddress] = useState("");
   const [selectedCategory, setSelectedCategory] = useState("");
   const [isAnonymous, setIsAnonymous] = useState(false);
   const [uploadedPhotos, setUploadedPhotos] = useState<File[]>([]);
   const [useGPS, setUseGPS] = useState(true);
+  const [duplicates, setDuplicates] = useState<DuplicateCandidate[]>([]);
   const { toast } = useToast();
+  const navigate = useNavigate();
 
   const categories = [
-    { value: "roads", label: "Roads & Transport", icon: "🚗" },
-    { value: "lighting", label: "Street Lighting", icon: "💡" },
-    { value: "waste", label: "Waste Management", icon: "🗑️" },
-    { value: "parks", label: "Parks & Recreation", icon: "🌳" },
-    { value: "safety", label: "Public Safety", icon: "🚨" },
-    { value: "utilities", label: "Utilities", icon: "⚡" },
-    { value: "other", label: "Other", icon: "📋" }
+    { value: "Road & Transportation", label: "Roads & Transport", icon: "🚗" },
+    { value: "Street Lighting", label: "Street Lighting", icon: "💡" },
+    { value: "Waste Management", label: "Waste Management", icon: "🗑️" },
+    { value: "Parks & Recreation", label: "Parks & Recreation", icon: "🌳" },
+    { value: "Public Safety", label: "Public Safety", icon: "🚨" },
+    { value: "Water & Sanitation", label: "Water & Sanitation", icon: "🚰" },
+    { value: "Electricity", label: "Electricity", icon: "⚡" },
+    { value: "Other", label: "Other", icon: "📋" }
   ];
 
   const handlePhotoUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
@@ -44,20 +75,61 @@ const ReportIssue = () => {
     setUploadedPhotos(uploadedPhotos.filter((_, i) => i !== index));
   };
 
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
+  const submitReport = async (options: { duplicateOf?: string; ignoreDuplicates?: boolean } = {}) => {
+    if (!selectedCategory) {
+      toast({ title: "Category required", description: "Select the category that fits the issue best.", variant: "destructive" });
+      return;
+    }
+
     setIsSubmitting(true);
+    try {
+      // Coordinates pin the report on the map; a typed address is kept as a description of the spot
+      const position = await getCurrentPosition();
 
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 2000));
+      const formData = new FormData();
+      formData.append("title", title);
+      formData.append("description", description);
+      formData.append("category", selectedCategory);
+      formData.append("longitude", String(position.coords.longitude));
+      formData.append("latitude", String(position.coords.latitude));
+      if (!useGPS && address.trim()) formData.append("address", address.trim());
+      formData.append("isAnonymous", String(isAnonymous));
+      if (options.duplicateOf) formData.append("duplicateOf", options.duplicateOf);
+      if (options.ignoreDuplicates) formData.append("ignoreDuplicates", "true");
+      if (!options.duplicateOf) uploadedPhotos.forEach((photo) => formData.append("images", photo));
 
-    toast({
-      title: "Issue reported successfully!",
-      description: "Your report has been submitted and will be reviewed shortly.",
-    });
+      const result = await apiRequest<ReportResult>("/issues", { method: "POST", body: formData });
+
+      toast({
+        title: options.duplicateOf ? "Confirmed the existing report" : "Issue reported successfully!",
+        description: isAnonymous && !options.duplicateOf
+          ? "Your report was submitted anonymously and will be reviewed shortly."
+          : "Your report has been submitted and will be reviewed shortly.",
+      });
+      setDuplicates([]);
+      navigate(`/issue/${result.issue.id}`);
+    } catch (err) {
+      const candidates = (err as ApiError)?.data as { duplicates?: DuplicateCandidate[] } | null;
+      if (err instanceof ApiError && err.statusCode === 409 && candidates?.duplicates?.length) {
+        setDuplicates(candidates.duplicates);
+        return;
+      }
 
-    setIsSubmitting(false);
-    // Redirect to dashboard or issue detail page
+      toast({
+        title: "Report failed",
+        description: err instanceof ApiError || err instanceof Error
+          ? err.message
+          : "Unable to determine your location. Allow location access and try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    submitReport();
   };
 
   return (
@@ -100,6 +172,8 @@ const ReportIssue = () => {
                     </label>
                     <Input
                       placeholder="Brief description of the issue"
+                      value={title}
+                      onChange={(e) => setTitle(e.target.value)}
                       required
                       className="bg-background border-border"
                     />
@@ -135,6 +209,8 @@ const ReportIssue = () => {
                     <Textarea
                       placeholder="Provide detailed information about the issue, including when you first noticed it and any relevant context..."
                       rows={4}
+                      value={description}
+                      onChange={(e) => setDescription(e.target.value)}
                       required
                       className="bg-background border-border resize-none"
                     />
@@ -212,6 +288,8 @@ const ReportIssue = () => {
                       {!useGPS && (
                         <Input
                           placeholder="Enter address or location"
+                          value={address}
+                          onChange={(e) => setAddress(e.target.value)}
                           className="bg-background border-border"
                         />
                       )}
@@ -229,6 +307,51 @@ const ReportIssue = () => {
                       Report anonymously
                     </label>
                   </div>
+                  {isAnonymous && (
+                    <p className="text-xs text-muted-foreground -mt-4">
+                      Your name is hidden from the public and from agents. Administrators can only see it
+                      through an audited request, for example to handle abuse.
+                    </p>
+                  )}
+
+                  {/* Similar reports nearby */}
+                  {duplicates.length > 0 && (
+                    <div className="rounded-lg border border-civic-orange/30 bg-civic-orange/5 p-4 space-y-3">
+                      <p className="text-sm font-medium text-foreground">
+                        Similar issues have already been reported nearby
+                      </p>
+                      {duplicates.map((candidate) => (
+                        <div key={candidate.id} className="flex items-center justify-between gap-3 text-sm">
+                          <div>
+                            <Link to={`/issue/${candidate.id}`} className="font-medium text-foreground hover:text-primary">
+                              {candidate.title}
+                            </Link>
+                            <p className="text-xs text-muted-foreground">
+                              {candidate.status} • {candidate.distance}m away • {candidate.confirmations} affected • {candidate.upvotes} upvotes
+                            </p>
+                          </div>
+                          <Button
+                            type="button"
+                            size="sm"
+                            variant="outline"
+                            disabled={isSubmitting || candidate.userVote === "confirm"}
+                            onClick={() => submitReport({ duplicateOf: candidate.id })}
+                          >
+                            {candidate.userVote === "confirm" ? "Confirmed" : "Me too, use this one"}
+                          </Button>
+                        </div>
+                      ))}
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant="ghost"
+                        disabled={isSubmitting}
+                        onClick={() => submitReport({ ignoreDuplicates: true })}
+                      >
+                        My issue is different, report it anyway
+                      </Button>
+                    </div>
+                  )}
 
                   {/* Submit Button */}
                   <Button
@@ -0,0 +1,165 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { InputOTP, InputOTPGroup, InputOTPSeparator, InputOTPSlot } from "@/components/ui/input-otp";
+import { MapPin, ShieldCheck, Loader2, ArrowLeft } from "lucide-react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useToast } from "@/hooks/use-toast";
+import { apiRequest, storeAuthTokens, ApiError, TWO_FACTOR_CHALLENGE_KEY } from "@/lib/api";
+
+interface LoginResult {
+  token: string;
+  refreshToken: string;
+  user: {
+    role: "citizen" | "agent" | "admin";
+    twoFactorSetupRequired?: boolean;
+  };
+}
+
+const TwoFactorVerify = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [code, setCode] = useState("");
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const challengeToken =
+    (location.state as { challengeToken?: string } | null)?.challengeToken ||
+    sessionStorage.getItem(TWO_FACTOR_CHALLENGE_KEY);
+
+  const canSubmit = useRecovery ? recoveryCode.trim().length > 0 : code.length === 6;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken || !canSubmit) return;
+
+    setIsSubmitting(true);
+    try {
+      const result = await apiRequest<LoginResult>("/auth/login/2fa", {
+        method: "POST",
+        body: JSON.stringify(
+          useRecovery
+            ? { challengeToken, recoveryCode: recoveryCode.trim() }
+            : { challengeToken, code }
+        ),
+      });
+
+      sessionStorage.removeItem(TWO_FACTOR_CHALLENGE_KEY);
+      storeAuthTokens(result);
+      toast({ title: "Signed in", description: "Two-factor verification successful." });
+      navigate(result.user.role === "citizen" ? "/dashboard" : "/admin", { replace: true });
+    } catch (error) {
+      const message = error instanceof ApiError ? error.message : "Could not verify the code";
+      toast({ title: "Verification failed", description: message, variant: "destructive" });
+      setCode("");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background flex flex-col">
+      {/* Header */}
+      <header className="bg-card border-b border-border">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <Link to="/" className="flex items-center text-muted-foreground hover:text-foreground transition-colors">
+              <ArrowLeft className="h-5 w-5 mr-2" />
+              Back
+            </Link>
+            <div className="flex items-center">
+              <MapPin className="h-6 w-6 text-primary mr-2" />
+              <span className="text-xl font-bold text-foreground">CivicFlow</span>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 flex items-center justify-center px-4 py-12">
+        <Card className="w-full max-w-md bg-card border-border">
+          <CardHeader className="text-center">
+            <div className="mx-auto mb-2 flex h-12 w-12 items-center justify-center rounded-full bg-primary/10">
+              <ShieldCheck className="h-6 w-6 text-primary" />
+            </div>
+            <CardTitle>Two-Factor Verification</CardTitle>
+            <CardDescription>
+              {useRecovery
+                ? "Enter one of the recovery codes you saved when enabling two-factor authentication."
+                : "Enter the 6-digit code from your authenticator app."}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {!challengeToken ? (
+              <div className="text-center space-y-4">
+                <p className="text-sm text-muted-foreground">
+                  Your sign-in session has expired. Please log in again.
+                </p>
+                <Button asChild variant="outline">
+                  <Link to="/login">Sign in again</Link>
+                </Button>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {useRecovery ? (
+                  <Input
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    placeholder="xxxxx-xxxxx"
+                    autoComplete="one-time-code"
+                    className="bg-background border-border text-center font-mono"
+                  />
+                ) : (
+                  <div className="flex justify-center">
+                    <InputOTP
+                      maxLength={6}
+                      value={code}
+                      onChange={setCode}
+                      disabled={isSubmitting}
+                      autoFocus
+                    >
+                      <InputOTPGroup>
+                        <InputOTPSlot index={0} />
+                        <InputOTPSlot index={1} />
+                        <InputOTPSlot index={2} />
+                      </InputOTPGroup>
+                      <InputOTPSeparator />
+                      <InputOTPGroup>
+                        <InputOTPSlot index={3} />
+                        <InputOTPSlot index={4} />
+                        <InputOTPSlot index={5} />
+                      </InputOTPGroup>
+                    </InputOTP>
+                  </div>
+                )}
+
+                <Button type="submit" className="w-full" disabled={!canSubmit || isSubmitting}>
+                  {isSubmitting ? (
+                    <>
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      Verifying...
+                    </>
+                  ) : (
+                    "Verify"
+                  )}
+                </Button>
+
+                <button
+                  type="button"
+                  onClick={() => setUseRecovery(!useRecovery)}
+                  className="w-full text-sm text-muted-foreground hover:text-foreground transition-colors"
+                >
+                  {useRecovery ? "Use authenticator app instead" : "Lost your device? Use a recovery code"}
+                </button>
+              </form>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorVerify;